@@ -0,0 +1,107 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic } from '../lib/clinic.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // The audit log is append-only and written by save_app_data - read access only
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Audit queries require a real session (no user_id fallback)
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+
+    // Any member of the clinic may read its audit trail
+    const { clinicId, error: clinicError } = await resolveClinic(req, user.id);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+
+    // Filters: patient_key (patient.importKey), user_id, field, from/to (ISO timestamps), limit
+    const { patient_key, user_id, field, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from/to must be ISO timestamps' });
+    }
+
+    let query = supabase
+      .from('audit_log')
+      .select('id, user_id, patient_key, patient_id, patient_name, field, old_value, new_value, changed_at')
+      .eq('clinic_id', clinicId)
+      .order('changed_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit);
+
+    if (patient_key) {
+      // Rows written before the patient was re-keyed keep their legacy key
+      // (see supabase_schema_v21_import_keys.sql)
+      const { data: aliases, error: aliasError } = await supabase
+        .from('import_key_aliases')
+        .select('legacy_key')
+        .eq('clinic_id', clinicId)
+        .eq('patient_key', String(patient_key));
+
+      if (aliasError) throw aliasError;
+      query = query.in('patient_key', [String(patient_key), ...(aliases || []).map(a => a.legacy_key)]);
+    }
+    if (user_id) query = query.eq('user_id', user_id);
+    if (field) query = query.eq('field', field);
+    if (from) query = query.gte('changed_at', from);
+    if (to) query = query.lte('changed_at', to);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    // Attach email/display name for each distinct user
+    const users = {};
+    for (const id of new Set((data || []).map(row => row.user_id).filter(Boolean))) {
+      const { data: entryUser } = await supabase.auth.admin.getUserById(id);
+      users[id] = {
+        email: entryUser?.user?.email || '',
+        displayName: entryUser?.user?.user_metadata?.display_name || ''
+      };
+    }
+
+    // Transform to match frontend format
+    const entries = (data || []).map(row => ({
+      id: row.id,
+      userId: row.user_id,
+      userEmail: users[row.user_id]?.email || '',
+      userName: users[row.user_id]?.displayName || '',
+      patientKey: row.patient_key,
+      patientId: row.patient_id,
+      patientName: row.patient_name,
+      field: row.field,
+      oldValue: row.old_value,
+      newValue: row.new_value,
+      changedAt: row.changed_at
+    }));
+
+    return res.status(200).json({ success: true, data: { entries } });
+
+  } catch (error) {
+    console.error('Audit API error:', error);
+    return res.status(500).json({ error: 'Failed to load audit log', details: error.message });
+  }
+}
@@ -1,124 +1,103 @@
 import { createClient } from '@supabase/supabase-js';
 import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic, canWrite, canManage } from '../lib/clinic.js';
+import { normalizeSchedule, getSchedulePeriod } from '../lib/schedules.js';
+import { normalizeItemType, itemTypeFields, checkItemValue } from '../lib/checklistItems.js';
+import { DATE_PATTERN, UUID_PATTERN } from '../lib/helpers.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-const MAX_BACKUPS = 5; // Keep last 5 backups per user
+const MAX_BACKUPS = 5; // backup_checklists keeps the newest 5 per clinic (v18)
 
-// Helper function to backup current checklists before overwriting
-async function backupCurrentChecklists(userId) {
-  try {
-    // Fetch current checklists
-    const { data: checklistsData, error: checklistsError } = await supabase
-      .from('checklists')
-      .select('*')
-      .eq('user_id', userId);
-
-    if (checklistsError || !checklistsData || checklistsData.length === 0) {
-      return; // Nothing to backup
-    }
+// Recovery rewrites the set outside save_checklists
+async function bumpChecklistRevision(clinicId) {
+  const { error } = await supabase.rpc('claim_checklist_revision', {
+    p_clinic_id: clinicId,
+    p_expected_revision: null
+  });
+  if (error) throw error;
+}
 
-    const checklistIds = checklistsData.map(c => c.id);
-
-    // Get folders
-    const { data: foldersData } = await supabase
-      .from('checklist_folders')
-      .select('*')
-      .in('checklist_id', checklistIds);
-
-    // Get items
-    const { data: itemsData } = await supabase
-      .from('checklist_items')
-      .select('*')
-      .in('checklist_id', checklistIds);
-
-    // Build backup structure
-    const backupData = {
-      checklists: checklistsData,
-      folders: foldersData || [],
-      items: itemsData || [],
-      backupTimestamp: new Date().toISOString()
-    };
-
-    // Save backup to app_data table
-    const backupType = `checklist_backup_${Date.now()}`;
-    await supabase
-      .from('app_data')
-      .insert({
-        type: backupType,
-        user_id: userId,
-        data: backupData,
-        updated_at: new Date().toISOString()
-      });
+// Completion keys name the period's first day in the client's Phoenix date
+// format ("M-D-YYYY"), plus "@shiftKey" for per-shift schedules; the table
+// stores an ISO date and the shift key separately
+function parseCompletionPeriod(periodKey) {
+  const [dateKey, period = ''] = periodKey.split('@');
+  const match = /^(\d{1,2})-(\d{1,2})-(\d{4})$/.exec(dateKey);
+  if (match) {
+    return { date: `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`, period };
+  }
+  return DATE_PATTERN.test(dateKey) ? { date: dateKey, period } : null;
+}
 
-    // Cleanup old backups (keep only MAX_BACKUPS)
-    const { data: allBackups } = await supabase
-      .from('app_data')
-      .select('id, type, updated_at')
-      .eq('user_id', userId)
-      .like('type', 'checklist_backup_%')
-      .order('updated_at', { ascending: false });
-
-    if (allBackups && allBackups.length > MAX_BACKUPS) {
-      const backupsToDelete = allBackups.slice(MAX_BACKUPS).map(b => b.id);
-      await supabase
-        .from('app_data')
-        .delete()
-        .in('id', backupsToDelete);
-    }
+function formatCompletionPeriod(isoDate, period) {
+  const [year, month, day] = isoDate.split('-');
+  const dateKey = `${parseInt(month, 10)}-${parseInt(day, 10)}-${year}`;
+  return period ? `${dateKey}@${period}` : dateKey;
+}
 
-    console.log(`Backup created: ${backupType} (${itemsData?.length || 0} items)`);
-  } catch (err) {
-    console.error('Backup error (non-fatal):', err);
-    // Don't throw - backup failure shouldn't block save
-  }
+// Per-shift schedules follow the clinic's shift start times
+async function loadShifts(clinicId) {
+  const { data, error } = await supabase
+    .from('app_data')
+    .select('data')
+    .eq('type', 'floor_config')
+    .eq('clinic_id', clinicId)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.data?.shifts || [];
 }
 
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
   try {
-    // Authenticate: prefer JWT, fall back to user_id param
-    let userId = null;
+    // Authenticate (JWT only)
     const { user, error: authError } = await verifyAuth(req);
-
-    if (user) {
-      userId = user.id;
-    } else {
-      // Fallback for backward compatibility (deprecated)
-      const paramUserId = req.query.user_id || req.body?.user_id;
-      if (paramUserId) {
-        userId = paramUserId;
-        console.warn('DEPRECATED: Using user_id param instead of JWT auth');
-      }
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
     }
+    const userId = user.id;
 
-    // Require authentication
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required', details: authError });
+    // Resolve active clinic; read-only members may only GET
+    const { clinicId, role, error: clinicError } = await resolveClinic(req, userId);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+    if (req.method !== 'GET' && !canWrite(role)) {
+      return res.status(403).json({ error: 'Read-only access to this clinic' });
     }
 
-    // GET - Load checklists with folders, items, and completions for this user
+    // GET - Load checklists with folders, items, and completions for this clinic
     if (req.method === 'GET') {
-      // Get checklists for this user
+      // Revision of the whole set - echoed back on save
+      const { data: clinic, error: clinicRowError } = await supabase
+        .from('clinics')
+        .select('checklist_revision')
+        .eq('id', clinicId)
+        .single();
+
+      if (clinicRowError) throw clinicRowError;
+
+      // Get checklists for this clinic
       const { data: checklistsData, error: checklistsError } = await supabase
         .from('checklists')
         .select('*')
-        .eq('user_id', userId)
+        .eq('clinic_id', clinicId)
         .order('position', { ascending: true });
 
       if (checklistsError) throw checklistsError;
 
-      // Get checklist IDs for this user
+      // Get checklist IDs for this clinic
       const checklistIds = checklistsData.map(c => c.id);
 
       // Get folders for these checklists
@@ -145,17 +124,31 @@ export default async function handler(req, res) {
         itemsData = data || [];
       }
 
-      // Get today's completions for these checklists
-      const today = new Date().toISOString().split('T')[0];
+      // Each item's current period (its own schedule, else its checklist's)
+      const shifts = await loadShifts(clinicId);
+      const now = new Date();
+      const schedules = new Map(checklistsData.map(c => [c.id, normalizeSchedule(c.schedule)]));
+      const currentPeriods = new Map(itemsData.map(i => {
+        const { date, shift } = getSchedulePeriod(
+          normalizeSchedule(i.schedule) || schedules.get(i.checklist_id), shifts, now
+        );
+        return [i.id, { date, period: shift }];
+      }));
+
+      // Completions in those periods only - earlier periods have reset
       let completionsData = [];
-      if (checklistIds.length > 0) {
+      const periodDates = [...new Set([...currentPeriods.values()].map(p => p.date))];
+      if (checklistIds.length > 0 && periodDates.length > 0) {
         const { data, error } = await supabase
           .from('checklist_completions')
           .select('*')
           .in('checklist_id', checklistIds)
-          .eq('completion_date', today);
+          .in('completion_date', periodDates);
         if (error) throw error;
-        completionsData = data || [];
+        completionsData = (data || []).filter(c => {
+          const current = currentPeriods.get(c.item_id);
+          return current && current.date === c.completion_date && current.period === (c.period || '');
+        });
       }
 
       // Build the nested structure expected by frontend
@@ -163,6 +156,7 @@ export default async function handler(req, res) {
         id: checklist.id,
         name: checklist.name,
         position: checklist.role || 'General',
+        schedule: schedules.get(checklist.id),
         folders: foldersData
           .filter(f => f.checklist_id === checklist.id)
           .map(f => ({
@@ -177,52 +171,63 @@ export default async function handler(req, res) {
             text: i.item_text,
             order: i.sort_order,
             folderId: i.folder_id,
-            url: i.url
+            url: i.url,
+            schedule: normalizeSchedule(i.schedule),
+            ...itemTypeFields(i.item_type, i.config)
           }))
       }));
 
       // Build completions object
       const completionsByChecklist = {};
       completionsData.forEach(c => {
-        const key = `${c.completion_date}_${c.checklist_id}`;
+        const key = `${formatCompletionPeriod(c.completion_date, c.period)}_${c.checklist_id}`;
         if (!completionsByChecklist[key]) {
           completionsByChecklist[key] = {
             completedItems: [],
-            timestamp: c.completed_at
+            timestamp: c.completed_at,
+            items: {}
           };
         }
         completionsByChecklist[key].completedItems.push(c.item_id);
+        completionsByChecklist[key].items[c.item_id] = {
+          at: c.completed_at,
+          by: c.completed_by_name || '',
+          note: c.note || '',
+          value: c.value ?? null,
+          outOfRange: !!c.out_of_range
+        };
       });
 
       return res.status(200).json({
         success: true,
         data: {
           checklists,
-          completions: completionsByChecklist
+          completions: completionsByChecklist,
+          revision: clinic.checklist_revision
         }
       });
     }
 
-    // POST - Save all checklists for this user (replace all)
+    // POST - Save checklists for this clinic (diff against stored rows)
     if (req.method === 'POST') {
       const { checklists, completions, action } = req.body;
 
-      // Handle backup listing request
+      // Handle backup listing request (backups are taken by save_checklists)
       if (action === 'list_backups') {
         const { data: backups, error } = await supabase
-          .from('app_data')
-          .select('id, type, data, updated_at')
-          .eq('user_id', userId)
-          .like('type', 'checklist_backup_%')
-          .order('updated_at', { ascending: false })
+          .from('app_data_backups')
+          .select('id, reason, data, created_at')
+          .eq('clinic_id', clinicId)
+          .eq('type', 'checklists')
+          .order('created_at', { ascending: false })
           .limit(MAX_BACKUPS);
 
         if (error) throw error;
 
         const backupList = (backups || []).map(b => ({
           id: b.id,
-          type: b.type,
-          timestamp: b.data?.backupTimestamp || b.updated_at,
+          reason: b.reason,
+          timestamp: b.created_at,
           checklistCount: b.data?.checklists?.length || 0,
           itemCount: b.data?.items?.length || 0
         }));
@@ -230,38 +235,43 @@ export default async function handler(req, res) {
         return res.status(200).json({ success: true, backups: backupList });
       }
 
+      // Restore and recovery rewrite the whole clinic's checklists
+      if ((action === 'recover_orphaned' || action === 'restore_backup') && !canManage(role)) {
+        return res.status(403).json({ error: 'Only clinic admins and charge nurses can restore checklists' });
+      }
+
       // Handle recovery of orphaned checklist items
       if (action === 'recover_orphaned') {
-        // Get all checklist IDs that belong to this user
-        const { data: userChecklists } = await supabase
+        // Items and folders cascade with their checklist, so the only orphans
+        // are those under checklists that never got a clinic (pre-clinic data).
+        // Only the caller's own are adopted - never another clinic's.
+        const { data: unassignedChecklists, error: unassignedError } = await supabase
           .from('checklists')
           .select('id')
+          .is('clinic_id', null)
           .eq('user_id', userId);
 
-        const validChecklistIds = (userChecklists || []).map(c => c.id);
-
-        // Find all orphaned items (items with no valid parent checklist)
-        const { data: allItems } = await supabase
-          .from('checklist_items')
-          .select('*')
-          .order('sort_order', { ascending: true });
+        if (unassignedError) throw unassignedError;
 
-        // Find orphaned folders too
-        const { data: allFolders } = await supabase
-          .from('checklist_folders')
-          .select('*')
-          .order('sort_order', { ascending: true });
-
-        // Filter to orphaned items (checklist_id not in validChecklistIds)
-        const orphanedItems = (allItems || []).filter(item =>
-          !validChecklistIds.includes(item.checklist_id)
-        );
+        const orphanChecklistIds = (unassignedChecklists || []).map(c => c.id);
 
-        const orphanedFolders = (allFolders || []).filter(folder =>
-          !validChecklistIds.includes(folder.checklist_id)
-        );
-
-        if (orphanedItems.length === 0) {
+        const { data: orphanedItems } = orphanChecklistIds.length > 0
+          ? await supabase
+            .from('checklist_items')
+            .select('*')
+            .in('checklist_id', orphanChecklistIds)
+            .order('sort_order', { ascending: true })
+          : { data: [] };
+
+        const { data: orphanedFolders } = orphanChecklistIds.length > 0
+          ? await supabase
+            .from('checklist_folders')
+            .select('*')
+            .in('checklist_id', orphanChecklistIds)
+            .order('sort_order', { ascending: true })
+          : { data: [] };
+
+        if (!orphanedItems || orphanedItems.length === 0) {
           return res.status(200).json({
             success: true,
             message: 'No orphaned items found',
@@ -280,7 +290,7 @@ export default async function handler(req, res) {
 
         // Group orphaned folders by their original checklist_id
         const foldersByChecklist = {};
-        orphanedFolders.forEach(folder => {
+        (orphanedFolders || []).forEach(folder => {
           if (!foldersByChecklist[folder.checklist_id]) {
             foldersByChecklist[folder.checklist_id] = [];
           }
@@ -303,6 +313,7 @@ export default async function handler(req, res) {
               name: `Recovered Checklist ${i + 1}`,
               position: i,
               role: 'Recovered',
+              clinic_id: clinicId,
               user_id: userId
             })
             .select()
@@ -351,8 +362,18 @@ export default async function handler(req, res) {
               .delete()
               .eq('id', folder.id);
           }
+
+          // And the emptied clinic-less checklist, so it isn't recovered again
+          await supabase
+            .from('checklists')
+            .delete()
+            .eq('id', oldChecklistId)
+            .is('clinic_id', null);
         }
 
+        // Open copies predate the recovered checklists - make their saves stale
+        await bumpChecklistRevision(clinicId);
+
         return res.status(200).json({
           success: true,
           message: `Recovered ${totalRecovered} items into ${checklistIds.length} checklist(s)`,
@@ -367,83 +388,27 @@ export default async function handler(req, res) {
         if (!backupId) {
           return res.status(400).json({ error: 'backupId required for restore' });
         }
-
-        // Fetch the backup
-        const { data: backup, error: backupError } = await supabase
-          .from('app_data')
-          .select('data')
-          .eq('id', backupId)
-          .eq('user_id', userId)
-          .single();
-
-        if (backupError || !backup) {
+        if (!UUID_PATTERN.test(String(backupId))) {
           return res.status(404).json({ error: 'Backup not found' });
         }
 
-        const backupData = backup.data;
-
-        // Backup current state before restoring (in case user wants to undo)
-        await backupCurrentChecklists(userId);
-
-        // Delete current checklists
-        await supabase.from('checklists').delete().eq('user_id', userId);
-
-        // Restore checklists from backup
-        if (backupData.checklists && backupData.checklists.length > 0) {
-          for (const checklist of backupData.checklists) {
-            const { data: newChecklist, error: clError } = await supabase
-              .from('checklists')
-              .insert({
-                name: checklist.name,
-                position: checklist.position,
-                role: checklist.role || 'General',
-                user_id: userId
-              })
-              .select()
-              .single();
-
-            if (clError) throw clError;
-
-            // Restore folders for this checklist
-            const oldChecklistId = checklist.id;
-            const folderIdMap = {};
-
-            const checklistFolders = (backupData.folders || []).filter(f => f.checklist_id === oldChecklistId);
-            for (const folder of checklistFolders) {
-              const { data: newFolder, error: fError } = await supabase
-                .from('checklist_folders')
-                .insert({
-                  checklist_id: newChecklist.id,
-                  name: folder.name,
-                  sort_order: folder.sort_order || 0
-                })
-                .select()
-                .single();
-
-              if (!fError && newFolder) {
-                folderIdMap[folder.id] = newFolder.id;
-              }
-            }
-
-            // Restore items for this checklist
-            const checklistItems = (backupData.items || []).filter(i => i.checklist_id === oldChecklistId);
-            if (checklistItems.length > 0) {
-              const itemsToInsert = checklistItems.map(item => ({
-                checklist_id: newChecklist.id,
-                folder_id: item.folder_id ? folderIdMap[item.folder_id] || null : null,
-                item_text: item.item_text,
-                url: item.url || null,
-                sort_order: item.sort_order || 0
-              }));
+        // Backs up the current set, then replaces it in one transaction
+        // (see supabase_schema_v18_checklist_item_types.sql)
+        const { data: restored, error: restoreError } = await supabase.rpc('restore_checklist_backup', {
+          p_clinic_id: clinicId,
+          p_user_id: userId,
+          p_backup_id: backupId
+        });
 
-              await supabase.from('checklist_items').insert(itemsToInsert);
-            }
-          }
+        if (restoreError) throw restoreError;
+        if (!restored) {
+          return res.status(404).json({ error: 'Backup not found' });
         }
 
         return res.status(200).json({
           success: true,
-          message: `Restored ${backupData.checklists?.length || 0} checklists with ${backupData.items?.length || 0} items`
+          message: `Restored ${restored.checklists} checklists with ${restored.items} items`,
+          revision: restored.revision
         });
       }
 
@@ -452,112 +417,75 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'Invalid data: checklists array required' });
       }
 
-      // SAFETY: Backup current checklists before overwriting
-      await backupCurrentChecklists(userId);
-
-      // Delete existing checklists for this user (cascade handles related tables)
-      const { error: deleteError } = await supabase
-        .from('checklists')
-        .delete()
-        .eq('user_id', userId);
-
-      if (deleteError) throw deleteError;
-
-      // Insert checklists, folders, and items
-      for (let i = 0; i < checklists.length; i++) {
-        const checklist = checklists[i];
-
-        // Insert checklist
-        const { data: newChecklist, error: checklistError } = await supabase
-          .from('checklists')
-          .insert({
-            name: checklist.name,
-            position: i,
-            role: checklist.position || 'General',
-            user_id: userId
-          })
-          .select()
-          .single();
-
-        if (checklistError) throw checklistError;
-
-        const newChecklistId = newChecklist.id;
-
-        // Insert folders and build ID mapping
-        const folderIdMap = {};
-        if (checklist.folders && checklist.folders.length > 0) {
-          for (const f of checklist.folders) {
-            const { data: newFolder, error: folderError } = await supabase
-              .from('checklist_folders')
-              .insert({
-                checklist_id: newChecklistId,
-                name: f.name,
-                sort_order: f.order || 0
-              })
-              .select()
-              .single();
-
-            if (folderError) throw folderError;
-            folderIdMap[f.id] = newFolder.id;
-          }
-        }
-
-        // Insert items
-        if (checklist.items && checklist.items.length > 0) {
-          const itemsToInsert = checklist.items.map(item => ({
-            checklist_id: newChecklistId,
-            folder_id: item.folderId ? folderIdMap[item.folderId] || null : null,
-            item_text: item.text,
-            url: item.url || null,
-            sort_order: item.order || 0
-          }));
-
-          const { error: itemsError } = await supabase
-            .from('checklist_items')
-            .insert(itemsToInsert);
-
-          if (itemsError) throw itemsError;
-        }
+      // Optimistic concurrency: the save replaces the whole set, so it must be
+      // based on the current revision (see supabase_schema_v6_checklist_sync.sql)
+      if (!Number.isInteger(req.body.revision)) {
+        return res.status(400).json({ error: 'revision required' });
       }
 
-      // Save completions for today
+      // Flatten completions into [{date, period, checklistId, itemIds, timestamp, items}] for the save function
+      let completionsPayload = null;
       if (completions && typeof completions === 'object') {
-        const today = new Date().toISOString().split('T')[0];
+        // Recorded values are re-checked against the item's type and range here
+        const itemsById = new Map(checklists.flatMap(c => (c.items || []).map(item => [String(item.id), item])));
 
-        // Delete today's completions first
-        await supabase
-          .from('checklist_completions')
-          .delete()
-          .eq('completion_date', today);
-
-        // Insert new completions
-        const completionsToInsert = [];
+        completionsPayload = [];
         for (const [key, value] of Object.entries(completions)) {
-          const [date, checklistId] = key.split('_');
-          if (value.completedItems && Array.isArray(value.completedItems)) {
-            for (const itemId of value.completedItems) {
-              completionsToInsert.push({
-                checklist_id: parseInt(checklistId),
-                item_id: parseInt(itemId),
-                completion_date: date,
-                completed_at: value.timestamp || new Date().toISOString()
-              });
+          const separator = key.lastIndexOf('_');
+          const parsed = parseCompletionPeriod(key.slice(0, separator));
+          if (!parsed || !value || !Array.isArray(value.completedItems)) continue;
+
+          // Per-item {at, note, value, outOfRange}; who checked it is the saving user
+          const items = {};
+          for (const [itemId, detail] of Object.entries(value.items && typeof value.items === 'object' ? value.items : {})) {
+            const item = itemsById.get(itemId);
+            const checked = checkItemValue(item, detail?.value);
+            if (checked.error) {
+              return res.status(400).json({ error: `${item?.text || 'Checklist item'}: ${checked.error}` });
             }
+            items[itemId] = { ...detail, ...checked };
           }
+
+          completionsPayload.push({
+            date: parsed.date,
+            period: parsed.period,
+            checklistId: key.slice(separator + 1),
+            itemIds: value.completedItems,
+            timestamp: value.timestamp || null,
+            items
+          });
         }
+      }
+
+      // Diff-based upsert/delete in a single transaction (see supabase_schema_v18_checklist_item_types.sql)
+      const { data: saved, error: saveError } = await supabase.rpc('save_checklists', {
+        p_clinic_id: clinicId,
+        p_user_id: userId,
+        p_checklists: checklists.map(checklist => ({
+          ...checklist,
+          schedule: normalizeSchedule(checklist.schedule),
+          items: (checklist.items || []).map(item => ({
+            ...item,
+            schedule: normalizeSchedule(item.schedule),
+            ...normalizeItemType(item)
+          }))
+        })),
+        p_completions: completionsPayload,
+        p_user_name: user ? (user.user_metadata?.display_name || user.email || '') : null,
+        p_expected_revision: req.body.revision
+      });
 
-        if (completionsToInsert.length > 0) {
-          const { error: compError } = await supabase
-            .from('checklist_completions')
-            .insert(completionsToInsert);
+      if (saveError) throw saveError;
 
-          if (compError) {
-            console.error('Completions insert error:', compError);
-          }
-        }
+      const { conflict, revision, ...idMap } = saved;
+
+      // Someone saved since this copy was loaded - nothing was written
+      if (conflict) {
+        return res.status(409).json({ error: 'Revision conflict', conflict: true, revision });
       }
 
-      return res.status(200).json({ success: true, message: 'Checklists saved' });
+      // Client uses idMap to swap temporary IDs for server IDs
+      return res.status(200).json({ success: true, message: 'Checklists saved', idMap, revision });
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
@@ -0,0 +1,170 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../../lib/auth.js';
+import { resolveClinic } from '../../lib/clinic.js';
+import { normalizeSchedule, listSchedulePeriods } from '../../lib/schedules.js';
+import { DATE_PATTERN, isoDate, percent, fetchAll } from '../../lib/helpers.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const MAX_DAYS = 92;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // History is written by save_checklists() (via /api/checklists) - read access only
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Compliance history requires a real session (no user_id fallback)
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+
+    const { clinicId, error: clinicError } = await resolveClinic(req, user.id);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+
+    // Filters: from/to (period dates, default today), checklist_id
+    const today = isoDate(new Date());
+    const from = req.query.from || today;
+    const to = req.query.to || from;
+    const checklistId = req.query.checklist_id ? Number(req.query.checklist_id) : null;
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      return res.status(400).json({ error: 'from/to must be dates (YYYY-MM-DD)' });
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (days < 1 || days > MAX_DAYS) {
+      return res.status(400).json({ error: `Date range must be 1 to ${MAX_DAYS} days` });
+    }
+
+    let checklistsQuery = supabase
+      .from('checklists')
+      .select('id, name, role, schedule')
+      .eq('clinic_id', clinicId)
+      .order('position', { ascending: true });
+    if (checklistId) checklistsQuery = checklistsQuery.eq('id', checklistId);
+    const { data: checklistsData, error: checklistsError } = await checklistsQuery;
+    if (checklistsError) throw checklistsError;
+
+    const checklistIds = checklistsData.map(c => c.id);
+    let itemsData = [];
+    let completionsData = [];
+    if (checklistIds.length > 0) {
+      itemsData = await fetchAll(() => supabase
+        .from('checklist_items')
+        .select('id, checklist_id, item_text, schedule, sort_order, created_at')
+        .in('checklist_id', checklistIds)
+        .order('sort_order', { ascending: true })
+        .order('id', { ascending: true }));
+
+      completionsData = await fetchAll(() => supabase
+        .from('checklist_completions')
+        .select('item_id, completion_date, period, completed_by, completed_by_name, note, out_of_range')
+        .in('checklist_id', checklistIds)
+        .gte('completion_date', from)
+        .lte('completion_date', to)
+        .order('id', { ascending: true }));
+    }
+
+    const { data: floorConfig, error: floorError } = await supabase
+      .from('app_data')
+      .select('data')
+      .eq('type', 'floor_config')
+      .eq('clinic_id', clinicId)
+      .maybeSingle();
+    if (floorError) throw floorError;
+    const shifts = floorConfig?.data?.shifts || [];
+
+    // Compliance: periods each item was due in (from when it was added, with
+    // its current schedule) against the completions stored for those periods.
+    // An out-of-range reading only counts once it has a corrective action.
+    const done = new Set(completionsData
+      .filter(c => !c.out_of_range || c.note)
+      .map(c => `${c.item_id}|${c.completion_date}|${c.period || ''}`));
+    const now = new Date();
+    const checklists = checklistsData.map(checklist => {
+      const checklistSchedule = normalizeSchedule(checklist.schedule);
+      const items = itemsData
+        .filter(i => i.checklist_id === checklist.id)
+        .map(item => {
+          const added = item.created_at ? isoDate(new Date(item.created_at)) : from;
+          const periods = listSchedulePeriods(
+            normalizeSchedule(item.schedule) || checklistSchedule, shifts, added > from ? added : from, to, now
+          );
+          const completed = periods.filter(p => done.has(`${item.id}|${p.date}|${p.shift}`)).length;
+          return { id: item.id, text: item.item_text, due: periods.length, completed, pct: percent(completed, periods.length) };
+        });
+      const due = items.reduce((sum, i) => sum + i.due, 0);
+      const completed = items.reduce((sum, i) => sum + i.completed, 0);
+      return { id: checklist.id, name: checklist.name, position: checklist.role || 'General', due, completed, pct: percent(completed, due), items };
+    });
+
+    // Who did the work: each person's share of the completions in the range
+    const byPerson = {};
+    completionsData.forEach(c => {
+      const key = c.completed_by || '';
+      if (!byPerson[key]) byPerson[key] = { userId: c.completed_by, name: c.completed_by_name || '', completed: 0 };
+      byPerson[key].completed++;
+    });
+    const people = Object.values(byPerson)
+      .map(p => ({ ...p, pct: percent(p.completed, completionsData.length) }))
+      .sort((a, b) => b.completed - a.completed);
+
+    // Day log: every check, un-check and edit in the range, oldest first
+    const events = await fetchAll(() => {
+      let query = supabase
+        .from('checklist_completion_events')
+        .select('id, checklist_id, item_id, checklist_name, item_text, completion_date, period, action, note, value, out_of_range, user_name, occurred_at')
+        .eq('clinic_id', clinicId)
+        .gte('occurred_at', `${from}T00:00:00-07:00`)
+        .lte('occurred_at', `${to}T23:59:59.999-07:00`)
+        .order('occurred_at', { ascending: true })
+        .order('id', { ascending: true });
+      if (checklistId) query = query.eq('checklist_id', checklistId);
+      return query;
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        checklists,
+        people,
+        events: events.map(e => ({
+          id: e.id,
+          checklistId: e.checklist_id,
+          checklistName: e.checklist_name,
+          itemId: e.item_id,
+          itemText: e.item_text,
+          date: e.completion_date,
+          period: e.period,
+          action: e.action,
+          note: e.note || '',
+          value: e.value ?? null,
+          outOfRange: !!e.out_of_range,
+          userName: e.user_name || '',
+          occurredAt: e.occurred_at
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Checklist history error:', error);
+    return res.status(500).json({ error: 'Failed to load checklist history', details: error.message });
+  }
+}
@@ -0,0 +1,262 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic, createClinicForUser, ensureUserClinic, CLINIC_ROLES } from '../lib/clinic.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Helper to count admins so a clinic is never left without one
+async function countAdmins(clinicId) {
+  const { count, error } = await supabase
+    .from('clinic_members')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('clinic_id', clinicId)
+    .eq('role', 'admin');
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// Helper to find an existing account by email (members must sign up first)
+async function findUserByEmail(email) {
+  const target = email.trim().toLowerCase();
+  let page = 1;
+
+  while (true) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: 200 });
+    if (error) throw error;
+
+    const match = data.users.find(u => (u.email || '').toLowerCase() === target);
+    if (match) return match;
+    if (data.users.length < 200) return null;
+    page++;
+  }
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    // Clinic management requires a real session (no user_id fallback)
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+    const userId = user.id;
+
+    // GET - List clinics for this user, or members of the active clinic
+    if (req.method === 'GET') {
+      if (req.query.members) {
+        const { clinicId, error: clinicError } = await resolveClinic(req, userId);
+        if (!clinicId) {
+          return res.status(403).json({ error: clinicError });
+        }
+
+        const { data, error } = await supabase
+          .from('clinic_members')
+          .select('user_id, role, created_at')
+          .eq('clinic_id', clinicId)
+          .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        // Attach email/display name from auth users
+        const members = [];
+        for (const m of data || []) {
+          const { data: memberUser } = await supabase.auth.admin.getUserById(m.user_id);
+          members.push({
+            userId: m.user_id,
+            role: m.role,
+            email: memberUser?.user?.email || '',
+            displayName: memberUser?.user?.user_metadata?.display_name || '',
+            joinedAt: m.created_at
+          });
+        }
+
+        return res.status(200).json({ success: true, data: { members } });
+      }
+
+      let { data, error } = await supabase
+        .from('clinic_members')
+        .select('role, created_at, clinics(id, name, import_key_salt)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      // First login: give the user a personal clinic to work in
+      if (!data || data.length === 0) {
+        await ensureUserClinic(userId);
+        ({ data, error } = await supabase
+          .from('clinic_members')
+          .select('role, created_at, clinics(id, name, import_key_salt)')
+          .eq('user_id', userId)
+          .order('created_at', { ascending: true }));
+
+        if (error) throw error;
+      }
+
+      const clinics = (data || [])
+        .filter(m => m.clinics)
+        .map(m => ({
+          id: m.clinics.id,
+          name: m.clinics.name,
+          role: m.role,
+          importKeySalt: m.clinics.import_key_salt // For census import keys (lib/importKey.js)
+        }));
+
+      return res.status(200).json({ success: true, data: { clinics } });
+    }
+
+    // POST - Clinic and membership actions
+    if (req.method === 'POST') {
+      const { action } = req.body;
+
+      // Handle new clinic request (creator becomes admin)
+      if (action === 'create') {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+          return res.status(400).json({ error: 'Clinic name required' });
+        }
+
+        const { clinicId, role } = await createClinicForUser(userId, name);
+        return res.status(200).json({ success: true, clinic: { id: clinicId, name, role } });
+      }
+
+      // Remaining actions operate on the active clinic
+      const { clinicId, role, error: clinicError } = await resolveClinic(req, userId);
+      if (!clinicId) {
+        return res.status(403).json({ error: clinicError });
+      }
+
+      // Handle leave request (any member, as long as an admin remains)
+      if (action === 'leave') {
+        if (role === 'admin' && await countAdmins(clinicId) <= 1) {
+          return res.status(400).json({ error: 'Assign another admin before leaving this clinic' });
+        }
+
+        const { error } = await supabase
+          .from('clinic_members')
+          .delete()
+          .eq('clinic_id', clinicId)
+          .eq('user_id', userId);
+
+        if (error) throw error;
+        return res.status(200).json({ success: true, message: 'Left clinic' });
+      }
+
+      if (role !== 'admin') {
+        return res.status(403).json({ error: 'Only clinic admins can manage the clinic' });
+      }
+
+      if (action === 'rename') {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+          return res.status(400).json({ error: 'Clinic name required' });
+        }
+
+        const { error } = await supabase
+          .from('clinics')
+          .update({ name })
+          .eq('id', clinicId);
+
+        if (error) throw error;
+        return res.status(200).json({ success: true, message: 'Clinic renamed' });
+      }
+
+      if (action === 'add_member') {
+        const { email } = req.body;
+        const memberRole = req.body.role || 'tech';
+
+        if (!email) {
+          return res.status(400).json({ error: 'email required to add a member' });
+        }
+        if (!CLINIC_ROLES.includes(memberRole)) {
+          return res.status(400).json({ error: `Invalid role. Must be: ${CLINIC_ROLES.join(', ')}` });
+        }
+
+        const memberUser = await findUserByEmail(email);
+        if (!memberUser) {
+          return res.status(404).json({ error: 'No account found for that email. Ask them to sign up first.' });
+        }
+
+        const { error } = await supabase
+          .from('clinic_members')
+          .upsert({
+            clinic_id: clinicId,
+            user_id: memberUser.id,
+            role: memberRole
+          }, { onConflict: 'clinic_id,user_id' });
+
+        if (error) throw error;
+        return res.status(200).json({ success: true, message: `Added ${memberUser.email} as ${memberRole}` });
+      }
+
+      if (action === 'update_member' || action === 'remove_member') {
+        const { memberUserId } = req.body;
+        if (!memberUserId) {
+          return res.status(400).json({ error: 'memberUserId required' });
+        }
+
+        const { data: member, error: memberError } = await supabase
+          .from('clinic_members')
+          .select('role')
+          .eq('clinic_id', clinicId)
+          .eq('user_id', memberUserId)
+          .maybeSingle();
+
+        if (memberError) throw memberError;
+        if (!member) {
+          return res.status(404).json({ error: 'Member not found' });
+        }
+
+        // Never demote or remove the last admin
+        const losingAdmin = member.role === 'admin' &&
+          (action === 'remove_member' || req.body.role !== 'admin');
+        if (losingAdmin && await countAdmins(clinicId) <= 1) {
+          return res.status(400).json({ error: 'A clinic must keep at least one admin' });
+        }
+
+        if (action === 'remove_member') {
+          const { error } = await supabase
+            .from('clinic_members')
+            .delete()
+            .eq('clinic_id', clinicId)
+            .eq('user_id', memberUserId);
+
+          if (error) throw error;
+          return res.status(200).json({ success: true, message: 'Member removed' });
+        }
+
+        if (!CLINIC_ROLES.includes(req.body.role)) {
+          return res.status(400).json({ error: `Invalid role. Must be: ${CLINIC_ROLES.join(', ')}` });
+        }
+
+        const { error } = await supabase
+          .from('clinic_members')
+          .update({ role: req.body.role })
+          .eq('clinic_id', clinicId)
+          .eq('user_id', memberUserId);
+
+        if (error) throw error;
+        return res.status(200).json({ success: true, message: 'Member role updated' });
+      }
+
+      return res.status(400).json({ error: 'Unknown action' });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Clinics API error:', error);
+    return res.status(500).json({ error: 'Failed to process clinics', details: error.message });
+  }
+}
@@ -0,0 +1,365 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic, canManage } from '../lib/clinic.js';
+import { snapshotAppData } from '../lib/snapshots.js';
+import { normalizeLabRanges } from '../lib/labs.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,16}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_CHAIR = 999;
+const MAX_PATIENTS_PER_TECH = 12;
+const MAX_STAGGER_MINUTES = 60;
+
+// Clinical rule vocabulary (evaluated client-side, see "CLINICAL RULES" in index.html)
+const RULE_METRICS = [
+  'postVsDryAbs', 'preOverDry', 'goalUF', 'timeShortMinutes', 'vitalsOverdueMinutes',
+  'systolic', 'pulse', 'arterialPressure', 'venousPressure', 'tmp', 'missing'
+];
+const RULE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const RULE_CATEGORIES = ['weight', 'time', 'qa', 'vitals'];
+const RULE_SEVERITIES = ['alert', 'warning'];
+const RULE_FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9]{0,39}$/;
+const MAX_RULES = 50;
+
+/**
+ * Validate and normalize a floor configuration posted by the settings editor.
+ * @param {object} config - { sections, pods, shifts, defaults, assignment }
+ * @returns {{config?: object, error?: string}}
+ */
+function normalizeFloorConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return { error: 'config object required' };
+  }
+
+  const { sections, pods = [], shifts, defaults = {}, assignment = {} } = config;
+
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return { error: 'At least one section is required' };
+  }
+  if (!Array.isArray(shifts) || shifts.length === 0) {
+    return { error: 'At least one shift is required' };
+  }
+  if (!Array.isArray(pods)) {
+    return { error: 'pods must be an array' };
+  }
+
+  const sectionKeys = new Set();
+  const normalizedSections = [];
+  for (const section of sections) {
+    const key = String(section?.key || '').trim();
+    if (!KEY_PATTERN.test(key)) {
+      return { error: `Invalid section key "${key}" (letters, numbers, - and _ only)` };
+    }
+    if (sectionKeys.has(key)) {
+      return { error: `Duplicate section key "${key}"` };
+    }
+    sectionKeys.add(key);
+
+    const chairs = Array.isArray(section.chairs) ? section.chairs : [];
+    if (!chairs.every(c => Number.isInteger(c) && c > 0 && c <= MAX_CHAIR)) {
+      return { error: `Section ${key}: chairs must be whole numbers from 1 to ${MAX_CHAIR}` };
+    }
+
+    normalizedSections.push({
+      key,
+      name: String(section.name || key).trim(),
+      chairs: [...new Set(chairs)]
+    });
+  }
+
+  const podKeys = new Set();
+  const normalizedPods = [];
+  for (const pod of pods) {
+    const key = String(pod?.key || '').trim();
+    if (!KEY_PATTERN.test(key)) {
+      return { error: `Invalid pod key "${key}" (letters, numbers, - and _ only)` };
+    }
+    if (podKeys.has(key)) {
+      return { error: `Duplicate pod key "${key}"` };
+    }
+    podKeys.add(key);
+
+    normalizedPods.push({ key, name: String(pod.name || `Pod ${key}`).trim() });
+  }
+
+  const shiftKeys = new Set();
+  const normalizedShifts = [];
+  for (const shift of shifts) {
+    const key = String(shift?.key || '').trim();
+    if (!KEY_PATTERN.test(key)) {
+      return { error: `Invalid shift key "${key}" (letters, numbers, - and _ only)` };
+    }
+    if (shiftKeys.has(key)) {
+      return { error: `Duplicate shift key "${key}"` };
+    }
+    shiftKeys.add(key);
+
+    const start = String(shift.start || '');
+    const end = String(shift.end || '');
+    if ((start && !TIME_PATTERN.test(start)) || (end && !TIME_PATTERN.test(end))) {
+      return { error: `Shift ${key}: times must be HH:MM` };
+    }
+
+    normalizedShifts.push({ key, name: String(shift.name || key).trim(), start, end });
+  }
+
+  const rxTime = String(defaults.rxTime || '');
+  if (rxTime && !/^\d{1,2}:[0-5]\d$/.test(rxTime)) {
+    return { error: 'Default Rx time must be H:MM' };
+  }
+
+  // Auto-assign rules (see "AUTO ASSIGN" in index.html)
+  const maxPatientsPerTech = Number(assignment.maxPatientsPerTech ?? 4);
+  const maxHighAcuityPerTech = Number(assignment.maxHighAcuityPerTech ?? 1);
+  const staggerMinutes = Number(assignment.staggerMinutes ?? 15);
+  if (!Number.isInteger(maxPatientsPerTech) || maxPatientsPerTech < 1 || maxPatientsPerTech > MAX_PATIENTS_PER_TECH) {
+    return { error: `Max patients per tech must be 1 to ${MAX_PATIENTS_PER_TECH}` };
+  }
+  if (!Number.isInteger(maxHighAcuityPerTech) || maxHighAcuityPerTech < 0 || maxHighAcuityPerTech > maxPatientsPerTech) {
+    return { error: 'Max high-acuity patients per tech must be 0 to the max patients per tech' };
+  }
+  if (!Number.isInteger(staggerMinutes) || staggerMinutes < 0 || staggerMinutes > MAX_STAGGER_MINUTES) {
+    return { error: `Stagger must be 0 to ${MAX_STAGGER_MINUTES} minutes` };
+  }
+
+  return {
+    config: {
+      sections: normalizedSections,
+      pods: normalizedPods,
+      shifts: normalizedShifts,
+      defaults: {
+        dialyzer: String(defaults.dialyzer || '').trim(),
+        rxTime
+      },
+      assignment: { maxPatientsPerTech, maxHighAcuityPerTech, staggerMinutes }
+    }
+  };
+}
+
+/**
+ * Validate and normalize a clinical rule set posted by the settings editor.
+ * @param {object} config - { rules, parameters }
+ * @returns {{config?: object, error?: string}}
+ */
+function normalizeClinicalRules(config) {
+  if (!config || typeof config !== 'object') {
+    return { error: 'config object required' };
+  }
+
+  const { rules, parameters = {} } = config;
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    return { error: `rules must be an array of at most ${MAX_RULES} rules` };
+  }
+
+  const ids = new Set();
+  const normalizedRules = [];
+  for (const rule of rules) {
+    const id = String(rule?.id || '').trim();
+    if (!/^[a-z0-9_]{1,32}$/.test(id)) {
+      return { error: `Invalid rule id "${id}" (lowercase letters, numbers and _ only)` };
+    }
+    if (ids.has(id)) {
+      return { error: `Duplicate rule id "${id}"` };
+    }
+    ids.add(id);
+
+    if (!RULE_METRICS.includes(rule.metric)) {
+      return { error: `Rule ${id}: unknown metric "${rule.metric}"` };
+    }
+    if (!RULE_CATEGORIES.includes(rule.category)) {
+      return { error: `Rule ${id}: category must be ${RULE_CATEGORIES.join(', ')}` };
+    }
+    if (!RULE_SEVERITIES.includes(rule.severity)) {
+      return { error: `Rule ${id}: severity must be ${RULE_SEVERITIES.join(' or ')}` };
+    }
+
+    const fields = Array.isArray(rule.fields) ? rule.fields.map(String) : [];
+    if (!fields.every(f => RULE_FIELD_PATTERN.test(f))) {
+      return { error: `Rule ${id}: invalid field name` };
+    }
+
+    const normalized = {
+      id,
+      name: String(rule.name || id).trim().slice(0, 80),
+      category: rule.category,
+      metric: rule.metric,
+      severity: rule.severity,
+      fields,
+      message: String(rule.message || '').trim().slice(0, 200),
+      enabled: rule.enabled !== false
+    };
+
+    // 'missing' rules fire when a chart field is empty; the rest compare a number
+    if (rule.metric === 'missing') {
+      if (!RULE_FIELD_PATTERN.test(String(rule.field || ''))) {
+        return { error: `Rule ${id}: a field is required for "missing" rules` };
+      }
+      normalized.field = String(rule.field);
+    } else {
+      if (!RULE_OPERATORS.includes(rule.operator)) {
+        return { error: `Rule ${id}: operator must be ${RULE_OPERATORS.join(', ')}` };
+      }
+      if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+        return { error: `Rule ${id}: threshold must be a number` };
+      }
+      normalized.operator = rule.operator;
+      normalized.threshold = rule.threshold;
+    }
+
+    normalizedRules.push(normalized);
+  }
+
+  const offset = parameters.targetWeightOffset ?? 0;
+  if (typeof offset !== 'number' || !Number.isFinite(offset) || Math.abs(offset) > 5) {
+    return { error: 'Target weight offset must be a number between -5 and 5 kg' };
+  }
+
+  const vitalsInterval = parameters.vitalsIntervalMinutes ?? 30;
+  if (!Number.isInteger(vitalsInterval) || vitalsInterval < 5 || vitalsInterval > 120) {
+    return { error: 'Vitals interval must be a whole number of minutes from 5 to 120' };
+  }
+
+  const vitalsGrace = parameters.vitalsGraceMinutes ?? 5;
+  if (!Number.isInteger(vitalsGrace) || vitalsGrace < 0 || vitalsGrace > 60) {
+    return { error: 'Vitals grace period must be a whole number of minutes from 0 to 60' };
+  }
+
+  return {
+    config: {
+      rules: normalizedRules,
+      parameters: {
+        targetWeightOffset: offset,
+        vitalsIntervalMinutes: vitalsInterval,
+        vitalsGraceMinutes: vitalsGrace
+      }
+    }
+  };
+}
+
+// Documents served by this endpoint (?doc=... on GET, body.doc on POST). Each is
+// stored as its own app_data type, so it gets revisions and snapshots like every
+// other document.
+const CONFIG_DOCUMENTS = {
+  floor: { type: 'floor_config', label: 'floor configuration', normalize: normalizeFloorConfig },
+  rules: { type: 'clinical_rules', label: 'clinical rules', normalize: normalizeClinicalRules },
+  labs: { type: 'lab_ranges', label: 'lab ranges', normalize: normalizeLabRanges }
+};
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    // Floor configuration requires a real session (no user_id fallback)
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+    const userId = user.id;
+
+    const { clinicId, role, error: clinicError } = await resolveClinic(req, userId);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+
+    const docName = (req.method === 'POST' ? req.body?.doc : req.query.doc) || 'floor';
+    const doc = CONFIG_DOCUMENTS[docName];
+    if (!doc) {
+      return res.status(400).json({ error: `Invalid doc. Must be: ${Object.keys(CONFIG_DOCUMENTS).join(', ')}` });
+    }
+
+    // GET - Current document (null until the clinic saves one)
+    if (req.method === 'GET') {
+      const { data, error } = await supabase
+        .from('app_data')
+        .select('data, revision, updated_at')
+        .eq('type', doc.type)
+        .eq('clinic_id', clinicId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          config: data?.data || null,
+          revision: data?.revision ?? null,
+          updatedAt: data?.updated_at || null,
+          canEdit: canManage(role)
+        }
+      });
+    }
+
+    // POST - Replace the document
+    if (req.method === 'POST') {
+      // Clinic configuration applies to everyone in the clinic
+      if (!canManage(role)) {
+        return res.status(403).json({ error: `Only clinic admins and charge nurses can change the ${doc.label}` });
+      }
+
+      const { config, error: validationError } = doc.normalize(req.body?.config);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const expectedRevision = Number.isInteger(req.body.revision) ? req.body.revision : null;
+
+      const { data: rows, error } = await supabase.rpc('save_app_data', {
+        p_type: doc.type,
+        p_clinic_id: clinicId,
+        p_user_id: userId,
+        p_data: config,
+        p_expected_revision: expectedRevision
+      });
+
+      if (error) throw error;
+
+      const result = rows && rows[0];
+      if (!result) {
+        throw new Error('No result from save_app_data');
+      }
+
+      // Someone else changed the document since this editor loaded it
+      if (!result.saved) {
+        return res.status(409).json({
+          error: `The ${doc.label} was changed by someone else`,
+          conflict: true,
+          revision: result.revision,
+          data: result.data
+        });
+      }
+
+      // Config edits are rare - always keep the previous version
+      try {
+        await snapshotAppData(clinicId, userId, doc.type, result.previous_data, {
+          revision: result.revision - 1,
+          reason: 'config'
+        });
+      } catch (snapshotError) {
+        console.error('Snapshot error:', snapshotError);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `Saved ${doc.label}`,
+        data: { config, revision: result.revision }
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Config API error:', error);
+    return res.status(500).json({ error: 'Failed to process clinic configuration', details: error.message });
+  }
+}
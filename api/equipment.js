@@ -0,0 +1,301 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic, canWrite } from '../lib/clinic.js';
+import { buildMachineRow, buildEventRow, applyLastEvent, getMaintenanceStatus, toMachine, toMachineEvent } from '../lib/equipment.js';
+import { DATE_PATTERN, isoDate, fetchAll } from '../lib/helpers.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const DEFAULT_TRACE_DAYS = 90;
+const MAX_TRACE_DAYS = 366;
+const EVENT_LIMIT = 200;
+
+async function getFloorConfig(clinicId) {
+  const { data, error } = await supabase
+    .from('app_data')
+    .select('data')
+    .eq('type', 'floor_config')
+    .eq('clinic_id', clinicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.data || null;
+}
+
+// Helper to fetch one machine belonging to the clinic
+async function getMachine(clinicId, id) {
+  const { data, error } = await supabase
+    .from('machines')
+    .select('*')
+    .eq('id', id)
+    .eq('clinic_id', clinicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Take whatever machine is on the chair off it, so the new one can move in
+async function clearChair(clinicId, section, chair, exceptId, log) {
+  if (!section || chair === null) return;
+
+  let query = supabase
+    .from('machines')
+    .select('*')
+    .eq('clinic_id', clinicId)
+    .eq('section', section)
+    .eq('chair', chair);
+  if (exceptId) query = query.neq('id', exceptId);
+  const { data, error } = await query;
+  if (error) throw error;
+
+  for (const previous of data || []) {
+    const { error: updateError } = await supabase
+      .from('machines')
+      .update({ section: null, chair: null, updated_at: new Date().toISOString() })
+      .eq('id', previous.id);
+    if (updateError) throw updateError;
+    await log(previous.id, { event_type: 'assigned', section, chair, notes: `Moved off ${section} chair ${chair}` });
+  }
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    // The equipment log is a compliance record - a real session is required (no user_id fallback)
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+
+    // Resolve active clinic; read-only members may only GET
+    const { clinicId, role, error: clinicError } = await resolveClinic(req, user.id);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+    if (req.method !== 'GET' && !canWrite(role)) {
+      return res.status(403).json({ error: 'Read-only access to this clinic' });
+    }
+
+    const userName = user.user_metadata?.display_name || user.email || '';
+    const logEvent = async (machine, fields) => {
+      const { data, error } = await supabase
+        .from('machine_events')
+        .insert({
+          clinic_id: clinicId,
+          machine_id: machine.id,
+          section: machine.section || null,
+          chair: machine.chair ?? null,
+          user_id: user.id,
+          user_name: userName,
+          ...fields
+        })
+        .select('*')
+        .single();
+      if (error) throw error;
+      return data;
+    };
+    const logMove = (machineId, fields) => logEvent({ id: machineId }, fields);
+
+    if (req.method === 'GET') {
+      // ?trace=<serial> - treatments that ran on a machine, newest first
+      if (req.query.trace) {
+        const today = isoDate(new Date());
+        const to = req.query.to || today;
+        const from = req.query.from || isoDate(new Date(Date.parse(`${to}T12:00:00Z`) - (DEFAULT_TRACE_DAYS - 1) * 24 * 60 * 60 * 1000));
+        if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+          return res.status(400).json({ error: 'from/to must be dates (YYYY-MM-DD)' });
+        }
+        const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+        if (days < 1 || days > MAX_TRACE_DAYS) {
+          return res.status(400).json({ error: `Date range must be 1 to ${MAX_TRACE_DAYS} days` });
+        }
+
+        const rows = await fetchAll(() => supabase
+          .from('treatments')
+          .select('id, patient_key, patient_name, treatment_date, shift, section, chair, technician, start_time, end_time, outcome')
+          .eq('clinic_id', clinicId)
+          .eq('machine_serial', String(req.query.trace))
+          .gte('treatment_date', from)
+          .lte('treatment_date', to)
+          .order('treatment_date', { ascending: false })
+          .order('id', { ascending: false }));
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            serial: String(req.query.trace),
+            from,
+            to,
+            patients: new Set(rows.map(r => r.patient_key)).size,
+            treatments: rows.map(row => ({
+              id: row.id,
+              patientKey: row.patient_key,
+              patientName: row.patient_name,
+              date: row.treatment_date,
+              shift: row.shift,
+              section: row.section,
+              chair: row.chair,
+              technician: row.technician,
+              startTime: row.start_time,
+              endTime: row.end_time,
+              outcome: row.outcome || 'completed'
+            }))
+          }
+        });
+      }
+
+      // ?machine_id= - one machine's log, newest first
+      if (req.query.machine_id) {
+        const machine = await getMachine(clinicId, req.query.machine_id);
+        if (!machine) {
+          return res.status(404).json({ error: 'Machine not found' });
+        }
+        const { data, error } = await supabase
+          .from('machine_events')
+          .select('*')
+          .eq('machine_id', machine.id)
+          .order('performed_at', { ascending: false })
+          .order('id', { ascending: false })
+          .limit(EVENT_LIMIT);
+        if (error) throw error;
+
+        return res.status(200).json({
+          success: true,
+          data: { machine: toMachine(machine), events: (data || []).map(toMachineEvent) }
+        });
+      }
+
+      // Registry with each maintenance type's due state
+      const machines = await fetchAll(() => supabase
+        .from('machines')
+        .select('*')
+        .eq('clinic_id', clinicId)
+        .order('serial', { ascending: true }));
+
+      const now = new Date();
+      return res.status(200).json({
+        success: true,
+        data: {
+          machines: machines.map(row => ({
+            ...toMachine(row),
+            maintenance: row.status === 'retired' ? null : getMaintenanceStatus(row, now)
+          }))
+        }
+      });
+    }
+
+    // POST - Register a machine ({machine}) or log an event ({event})
+    if (req.method === 'POST') {
+      if (req.body?.event) {
+        const machine = await getMachine(clinicId, req.body.event.machineId);
+        if (!machine) {
+          return res.status(404).json({ error: 'Machine not found' });
+        }
+        const { row, error: validationError } = buildEventRow(req.body.event);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        const event = await logEvent(machine, row);
+
+        // Due dates are read from the machine's latest event of each type
+        const lastEvents = applyLastEvent(machine.last_events, event);
+        if (lastEvents) {
+          const { error } = await supabase
+            .from('machines')
+            .update({ last_events: lastEvents })
+            .eq('id', machine.id);
+          if (error) throw error;
+        }
+        return res.status(200).json({ success: true, message: 'Event logged', data: { event: toMachineEvent(event) } });
+      }
+
+      const { row, error: validationError } = buildMachineRow(req.body?.machine, await getFloorConfig(clinicId));
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { data: existing, error: existingError } = await supabase
+        .from('machines')
+        .select('id')
+        .eq('clinic_id', clinicId)
+        .eq('serial', row.serial)
+        .maybeSingle();
+      if (existingError) throw existingError;
+      if (existing) {
+        return res.status(409).json({ error: `Machine ${row.serial} is already registered` });
+      }
+
+      await clearChair(clinicId, row.section, row.chair, null, logMove);
+      const { data, error } = await supabase
+        .from('machines')
+        .insert({ ...row, clinic_id: clinicId })
+        .select('*')
+        .single();
+      if (error) throw error;
+
+      if (data.section) {
+        await logEvent(data, { event_type: 'assigned', notes: `Registered on ${data.section}${data.chair !== null ? ` chair ${data.chair}` : ''}` });
+      }
+      return res.status(200).json({ success: true, message: 'Machine registered', data: { machine: toMachine(data) } });
+    }
+
+    // PUT - Update one machine: ?id=... with { machine } (fields to change)
+    if (req.method === 'PUT') {
+      const existing = req.query.id ? await getMachine(clinicId, req.query.id) : null;
+      if (!existing) {
+        return res.status(404).json({ error: 'Machine not found' });
+      }
+
+      // The serial is fixed - treatments refer to it
+      const { row, error: validationError } = buildMachineRow(
+        { ...toMachine(existing), intervals: existing.intervals, ...req.body?.machine, serial: existing.serial },
+        await getFloorConfig(clinicId)
+      );
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const moved = row.section !== existing.section || row.chair !== existing.chair;
+      if (moved) {
+        await clearChair(clinicId, row.section, row.chair, existing.id, logMove);
+      }
+
+      const { data, error } = await supabase
+        .from('machines')
+        .update(row)
+        .eq('id', existing.id)
+        .eq('clinic_id', clinicId)
+        .select('*')
+        .single();
+      if (error) throw error;
+
+      if (moved) {
+        const where = data.section ? `${data.section}${data.chair !== null ? ` chair ${data.chair}` : ''}` : 'off the floor';
+        await logEvent(data, { event_type: 'assigned', notes: `Moved to ${where}` });
+      }
+      if (data.status !== existing.status) {
+        await logEvent(data, { event_type: 'status', notes: `${existing.status} → ${data.status}${req.body?.reason ? `: ${String(req.body.reason).slice(0, 300)}` : ''}` });
+      }
+
+      return res.status(200).json({ success: true, message: 'Machine updated', data: { machine: toMachine(data) } });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Equipment API error:', error);
+    return res.status(500).json({ error: 'Failed to process equipment', details: error.message });
+  }
+}
@@ -0,0 +1,146 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic } from '../lib/clinic.js';
+import { buildTreatmentRow } from '../lib/treatments.js';
+import { buildFhirBundle, validateFhirBundle } from '../lib/fhir.js';
+import { DATE_PATTERN, isoDate, fetchAll } from '../lib/helpers.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const MAX_DAYS = 31;
+// One patient's history is small enough to export a whole year
+const MAX_PATIENT_DAYS = 366;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Exports carry patient data - a real session is required (no user_id fallback)
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+
+    const { clinicId, error: clinicError } = await resolveClinic(req, user.id);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+
+    // Filters: from/to (treatment dates, default today), shift (comma list), patient_key
+    const today = isoDate(new Date());
+    const from = req.query.from || today;
+    const to = req.query.to || from;
+    const shifts = String(req.query.shift || '').split(',').map(s => s.trim()).filter(Boolean);
+    const patientKey = req.query.patient_key ? String(req.query.patient_key) : null;
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      return res.status(400).json({ error: 'from/to must be dates (YYYY-MM-DD)' });
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    const maxDays = patientKey ? MAX_PATIENT_DAYS : MAX_DAYS;
+    if (days < 1 || days > maxDays) {
+      return res.status(400).json({ error: `Date range must be 1 to ${maxDays} days` });
+    }
+
+    const treatments = await fetchAll(() => {
+      let query = supabase
+        .from('treatments')
+        .select('*')
+        .eq('clinic_id', clinicId)
+        .gte('treatment_date', from)
+        .lte('treatment_date', to)
+        .order('treatment_date', { ascending: true })
+        .order('id', { ascending: true });
+      if (shifts.length > 0) query = query.in('shift', shifts);
+      if (patientKey) query = query.eq('patient_key', patientKey);
+      return query;
+    });
+
+    // Today's flowsheet has treatments still running or not yet written -
+    // it replaces the stored row for the same patient, date and shift
+    if (from <= today && today <= to) {
+      const { data, error } = await supabase
+        .from('app_data')
+        .select('data')
+        .eq('type', 'flowsheet')
+        .eq('clinic_id', clinicId)
+        .maybeSingle();
+      if (error) throw error;
+
+      (data?.data?.patients || []).forEach(patient => {
+        const row = buildTreatmentRow(patient, {}, { unfinished: true });
+        if (!row || row.treatment_date < from || row.treatment_date > to) return;
+        if (shifts.length > 0 && !shifts.includes(row.shift)) return;
+        if (patientKey && row.patient_key !== patientKey) return;
+
+        const index = row.patient_key
+          ? treatments.findIndex(t => t.patient_key === row.patient_key && t.treatment_date === row.treatment_date && t.shift === row.shift)
+          : -1;
+        if (index >= 0) treatments[index] = row;
+        else treatments.push(row);
+      });
+    }
+
+    // Labs collected in the range (entered time when no collection time);
+    // with a shift filter only the exported patients' labs
+    const rangeStart = `${from}T00:00:00-07:00`;
+    const rangeEnd = `${to}T23:59:59.999-07:00`;
+    const exportedKeys = new Set(treatments.map(t => t.patient_key).filter(Boolean));
+    const labs = (await fetchAll(() => {
+      let query = supabase
+        .from('labs')
+        .select('*')
+        .eq('clinic_id', clinicId)
+        .not('patient_key', 'is', null)
+        .or(`and(collected_at.gte."${rangeStart}",collected_at.lte."${rangeEnd}"),and(collected_at.is.null,created_at.gte."${rangeStart}",created_at.lte."${rangeEnd}")`)
+        .order('id', { ascending: true });
+      if (patientKey) query = query.eq('patient_key', patientKey);
+      return query;
+    })).filter(row => shifts.length === 0 || exportedKeys.has(row.patient_key));
+
+    // NUMERIC columns come back as strings
+    const number = value => (value === null || value === undefined ? null : Number(value));
+    const bundle = buildFhirBundle({
+      treatments: treatments.map(row => ({
+        ...row,
+        dry_weight: number(row.dry_weight),
+        pre_weight: number(row.pre_weight),
+        post_weight: number(row.post_weight),
+        goal_uf: number(row.goal_uf),
+        actual_uf: number(row.actual_uf)
+      })),
+      labs: labs.map(row => ({
+        ...row,
+        value: number(row.value),
+        ref_low: number(row.ref_low),
+        ref_high: number(row.ref_high)
+      }))
+    });
+
+    const issues = validateFhirBundle(bundle);
+    if (issues.length > 0) {
+      console.error('FHIR export validation failed:', issues.slice(0, 20));
+      return res.status(500).json({ error: 'FHIR export failed R4 validation', issues: issues.slice(0, 50) });
+    }
+
+    res.setHeader('Content-Type', 'application/fhir+json');
+    return res.status(200).send(JSON.stringify(bundle));
+
+  } catch (error) {
+    console.error('FHIR export error:', error);
+    return res.status(500).json({ error: 'Failed to build FHIR export', details: error.message });
+  }
+}
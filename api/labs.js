@@ -1,106 +1,199 @@
 import { createClient } from '@supabase/supabase-js';
 import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic, canWrite } from '../lib/clinic.js';
+import { getLabRanges, buildLabRow, toLabEntry, updatedLabStatus } from '../lib/labs.js';
+import { DATE_PATTERN } from '../lib/helpers.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Helper to fetch one entry belonging to the clinic
+async function getLabEntry(clinicId, id) {
+  const { data, error } = await supabase
+    .from('labs')
+    .select('*')
+    .eq('id', id)
+    .eq('clinic_id', clinicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
   try {
-    // Authenticate: prefer JWT, fall back to user_id param
-    let userId = null;
+    // Authenticate (JWT only)
     const { user, error: authError } = await verifyAuth(req);
-
-    if (user) {
-      userId = user.id;
-    } else {
-      // Fallback for backward compatibility (deprecated)
-      const paramUserId = req.query.user_id || req.body?.user_id;
-      if (paramUserId) {
-        userId = paramUserId;
-        console.warn('DEPRECATED: Using user_id param instead of JWT auth');
-      }
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
     }
+    const userId = user.id;
 
-    // Require authentication
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required', details: authError });
+    // Resolve active clinic; read-only members may only GET
+    const { clinicId, role, error: clinicError } = await resolveClinic(req, userId);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+    if (req.method !== 'GET' && !canWrite(role)) {
+      return res.status(403).json({ error: 'Read-only access to this clinic' });
     }
 
-    // GET - Load labs for this user
+    // GET - Page through labs for this clinic, newest first
+    // Filters: patient_key, analyte, from/to (collection dates), flagged=1,
+    // include_cleared=1 (entries removed from the Operations list), limit/offset
     if (req.method === 'GET') {
-      const { data, error } = await supabase
+      const { patient_key, analyte, from, to, flagged, include_cleared } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return res.status(400).json({ error: 'from/to must be dates (YYYY-MM-DD)' });
+      }
+
+      // One extra row tells us whether there is another page
+      let query = supabase
         .from('labs')
         .select('*')
-        .eq('user_id', userId)
-        .order('created_at', { ascending: false });
-
+        .eq('clinic_id', clinicId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + limit);
+
+      if (patient_key) query = query.eq('patient_key', String(patient_key));
+      if (analyte) query = query.eq('analyte', String(analyte));
+      if (from) query = query.gte('collected_at', `${from}T00:00:00-07:00`);
+      if (to) query = query.lte('collected_at', `${to}T23:59:59.999-07:00`);
+      if (flagged === '1') query = query.not('flag', 'is', null);
+      if (include_cleared !== '1') query = query.is('cleared_at', null);
+
+      const { data, error } = await query;
       if (error) throw error;
 
-      // Transform to match frontend format
-      const entries = data.map(row => ({
-        id: row.id,
-        patientName: row.patient_name,
-        labResult: row.lab_result,
-        dateTime: row.date_time,
-        timestamp: row.created_at
-      }));
-
-      return res.status(200).json({ success: true, data: { entries } });
+      const rows = data || [];
+      return res.status(200).json({
+        success: true,
+        data: {
+          entries: rows.slice(0, limit).map(toLabEntry),
+          hasMore: rows.length > limit,
+          nextOffset: offset + Math.min(rows.length, limit)
+        }
+      });
     }
 
-    // POST - Save labs for this user (replace all for this user)
+    // POST - Create (or replace) one entry: { entry } with the app's clientId.
+    // The database assigns the id; the saved entry maps it back to clientId.
+    // Older app versions queued { entries: [...] } replace-all saves with ids
+    // they picked (stored as client_id); those are upserted entry by entry
+    // and nothing is deleted.
     if (req.method === 'POST') {
-      const { entries } = req.body;
+      const ranges = await getLabRanges(clinicId);
+      const incoming = Array.isArray(req.body?.entries) ? req.body.entries : [req.body?.entry];
+
+      const rows = [];
+      for (const entry of incoming) {
+        const { row, error: validationError } = buildLabRow(
+          entry && typeof entry === 'object' ? { clientId: entry.id, ...entry } : entry,
+          ranges
+        );
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+        rows.push({ ...row, clinic_id: clinicId, user_id: userId, cleared_at: null });
+      }
 
-      if (!entries || !Array.isArray(entries)) {
-        return res.status(400).json({ error: 'Invalid data: entries array required' });
+      if (rows.length === 0) {
+        return res.status(200).json({ success: true, data: { entries: [] } });
       }
 
-      // Delete existing labs for this user
-      const { error: deleteError } = await supabase
+      const { data, error } = await supabase
         .from('labs')
-        .delete()
-        .eq('user_id', userId);
-
-      if (deleteError) throw deleteError;
-
-      // Insert new entries if any
-      if (entries.length > 0) {
-        const rows = entries.map(entry => ({
-          id: entry.id,
-          patient_name: entry.patientName,
-          lab_result: entry.labResult,
-          date_time: entry.dateTime,
-          created_at: entry.timestamp || new Date().toISOString(),
-          user_id: userId
-        }));
-
-        const { error: insertError } = await supabase
-          .from('labs')
-          .insert(rows);
+        .upsert(rows, { onConflict: 'clinic_id,client_id' })
+        .select('*');
+
+      if (error) throw error;
+
+      const entries = (data || []).map(toLabEntry);
+      return res.status(200).json({
+        success: true,
+        message: 'Lab saved',
+        data: { entry: entries[0] || null, entries }
+      });
+    }
+
+    // PUT - Update one entry: ?id=... with { entry } (fields to change)
+    if (req.method === 'PUT') {
+      const id = req.query.id;
+      if (!id) {
+        return res.status(400).json({ error: 'id required' });
+      }
 
-        if (insertError) throw insertError;
+      const existing = await getLabEntry(clinicId, id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Lab entry not found' });
       }
 
-      return res.status(200).json({ success: true, message: 'Labs saved' });
+      // Merge over the stored entry so the status and flag are recomputed from the result
+      const ranges = await getLabRanges(clinicId);
+      const stored = toLabEntry(existing);
+      const changes = req.body?.entry && typeof req.body.entry === 'object' ? req.body.entry : {};
+      const { row, error: validationError } = buildLabRow({
+        ...stored,
+        ...changes,
+        clientId: stored.clientId,
+        status: updatedLabStatus(stored, changes)
+      }, ranges);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { data, error } = await supabase
+        .from('labs')
+        .update({ ...row, user_id: userId })
+        .eq('id', existing.id)
+        .eq('clinic_id', clinicId)
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      return res.status(200).json({ success: true, message: 'Lab updated', data: { entry: toLabEntry(data) } });
     }
 
-    // DELETE - Clear labs for this user
+    // DELETE - Delete one entry (?id=... or the app's ?client_id=...), or clear the Operations list
     if (req.method === 'DELETE') {
+      if (req.query.id || req.query.client_id) {
+        let query = supabase
+          .from('labs')
+          .delete()
+          .eq('clinic_id', clinicId);
+
+        query = req.query.id ? query.eq('id', req.query.id) : query.eq('client_id', String(req.query.client_id));
+        const { error } = await query;
+
+        if (error) throw error;
+
+        return res.status(200).json({ success: true, message: 'Lab deleted' });
+      }
+
+      // Cleared entries stay in the table for per-patient trends
       const { error } = await supabase
         .from('labs')
-        .delete()
-        .eq('user_id', userId);
+        .update({ cleared_at: new Date().toISOString() })
+        .eq('clinic_id', clinicId)
+        .is('cleared_at', null);
 
       if (error) throw error;
 
@@ -0,0 +1,477 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../../lib/auth.js';
+import { resolveClinic, canWrite, getImportKeySalt } from '../../lib/clinic.js';
+import { getLabRanges, buildLabRow, toLabEntry } from '../../lib/labs.js';
+import { parseHL7, findFlowsheetPatient, resultMatchesLabItem } from '../../lib/hl7.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// 'processing': claimed by a request that is filing its results right now
+const QUEUE_STATUSES = ['unmatched', 'error', 'processed', 'dismissed', 'processing'];
+const MAX_SAVE_ATTEMPTS = 3;
+// Filing takes seconds - a message claimed longer ago was left by a crashed request
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// PostgREST .or() filter for messages left 'processing' by a crashed request
+function staleProcessingFilter() {
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS).toISOString();
+  return `and(status.eq.processing,or(processing_at.is.null,processing_at.lt."${staleBefore}"))`;
+}
+
+// "K 6.4 mEq/L (critical high)" - the summary written into a STAT Labs item
+function describeResult(row) {
+  const value = row.value !== null ? `${row.value}${row.units ? ` ${row.units}` : ''}` : '';
+  const flag = row.flag ? ` (${row.flag.replace('_', ' ')})` : '';
+  return [row.analyte, value, row.lab_result].filter(Boolean).join(' ') + flag;
+}
+
+function formatCollected(iso) {
+  return new Date(iso || Date.now()).toLocaleString('en-US', {
+    timeZone: 'America/Phoenix',
+    month: 'short', day: 'numeric',
+    hour: 'numeric', minute: '2-digit'
+  });
+}
+
+async function getFlowsheet(clinicId) {
+  const { data, error } = await supabase
+    .from('app_data')
+    .select('data, revision')
+    .eq('type', 'flowsheet')
+    .eq('clinic_id', clinicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { data: data?.data || { patients: [] }, revision: data?.revision ?? null };
+}
+
+/**
+ * Mark the patient's STAT Labs items drawn and resulted. Retries when a
+ * device saved the flowsheet in between; devices merge this change the same
+ * way they merge each other's (409 on their next save).
+ */
+async function updateLabItems(clinicId, userId, patientId, rows) {
+  const linked = rows.filter(row => row.source_lab_id !== null);
+  if (linked.length === 0) return;
+
+  for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+    const { data, revision } = await getFlowsheet(clinicId);
+    const updated = structuredClone(data);
+    const patient = (updated.patients || []).find(p => p.id === patientId);
+    if (!patient) return;
+
+    (patient.labs || []).forEach(lab => {
+      const results = linked.filter(row => row.source_lab_id === lab.id);
+      if (results.length === 0) return;
+
+      lab.drawn = true;
+      lab.resulted = true;
+      lab.resultSource = 'hl7';
+      lab.resultedAt = new Date().toISOString();
+      lab.resultText = results.map(describeResult).join('; ');
+      // A single-analyte item takes the numeric value; a panel takes its most
+      // severe flag, so critical results reach the End of Shift Report either way
+      const own = lab.analyte && results.find(row => row.analyte === lab.analyte);
+      if (own) {
+        lab.value = own.value === null ? null : Number(own.value);
+        lab.flag = own.flag;
+      } else {
+        const flagged = results.find(row => row.flag?.startsWith('critical_')) || results.find(row => row.flag);
+        lab.flag = flagged ? flagged.flag : null;
+      }
+    });
+
+    const { data: saved, error } = await supabase.rpc('save_app_data', {
+      p_type: 'flowsheet',
+      p_clinic_id: clinicId,
+      p_user_id: userId,
+      p_data: updated,
+      p_expected_revision: revision
+    });
+
+    if (error) throw error;
+
+    // save_app_data writes the audit log for the changed items itself
+    if (saved && saved[0]?.saved) return;
+  }
+
+  throw new Error('The flowsheet kept changing - STAT Labs items were not updated');
+}
+
+/**
+ * Create labs rows for a parsed message and link them to the patient's
+ * STAT Labs items. Without patientId the patient is matched from PID.
+ * Once the labs rows exist the results are filed: a failed STAT Labs item
+ * update is added to message.errors instead of thrown, so the message is
+ * still recorded as processed and a resend can't file the results twice.
+ * A reclaimed message whose results were filed before the crash is finished
+ * with those rows.
+ * @returns {Promise<{patient: object|null, rows: Array, itemsUpdated: boolean}>}
+ */
+async function applyMessage(clinicId, userId, messageId, message, ranges, patientId = null) {
+  const { data: filed, error: filedError } = await supabase
+    .from('labs')
+    .select('*')
+    .eq('clinic_id', clinicId)
+    .eq('hl7_message_id', messageId);
+
+  if (filedError) throw filedError;
+
+  const { data } = await getFlowsheet(clinicId);
+  const patients = data.patients || [];
+  if (filed && filed.length > 0) {
+    const patient = patients.find(p => p.id === filed[0].source_patient_id) ||
+      { id: filed[0].source_patient_id, importKey: filed[0].patient_key };
+    return { patient, rows: filed, itemsUpdated: await tryUpdateLabItems(clinicId, userId, patient.id, filed, message) };
+  }
+
+  const patient = patientId !== null
+    ? patients.find(p => p.id === patientId) || null
+    : await findFlowsheetPatient(patients, message.patient, await getImportKeySalt(clinicId));
+
+  if (!patient) return { patient: null, rows: [], itemsUpdated: false };
+
+  const openLabs = (patient.labs || []).filter(lab => !lab.sectionComplete);
+  const rows = [];
+  for (const result of message.results) {
+    const lab = openLabs.find(item => resultMatchesLabItem(item, result));
+    const { row, error } = buildLabRow({
+      ...result,
+      patientName: patient.initials || patient.name || `Pt #${patient.number}`,
+      patientKey: patient.importKey || null,
+      dateTime: formatCollected(result.collectedAt),
+      sourcePatientId: patient.id,
+      sourceLabId: lab ? lab.id : null
+    }, ranges);
+
+    if (error) {
+      message.errors.push({ segment: 'OBX', line: null, error: `${result.analyte}: ${error}` });
+      continue;
+    }
+    rows.push({ ...row, clinic_id: clinicId, user_id: userId, hl7_message_id: messageId });
+  }
+
+  if (rows.length === 0) return { patient, rows: [], itemsUpdated: false };
+
+  const { data: inserted, error } = await supabase
+    .from('labs')
+    .insert(rows)
+    .select('*');
+
+  if (error) throw error;
+
+  return { patient, rows: inserted || [], itemsUpdated: await tryUpdateLabItems(clinicId, userId, patient.id, inserted || [], message) };
+}
+
+// The results are filed either way - a failed item update is reported on the message
+async function tryUpdateLabItems(clinicId, userId, patientId, rows, message) {
+  try {
+    await updateLabItems(clinicId, userId, patientId, rows);
+    return true;
+  } catch (itemError) {
+    console.error('STAT Labs item update error:', itemError);
+    message.errors.push({ segment: 'OBX', line: null, error: `Results filed, but STAT Labs items were not updated: ${itemError.message}` });
+    return false;
+  }
+}
+
+/**
+ * Store a message before filing anything, so a resend that arrives while (or
+ * after) its results are filed is recognised as a duplicate. The unique
+ * control id index makes that check atomic: an insert that conflicts is the
+ * resend, unless the stored copy was left 'processing' by a crashed request -
+ * then this request reclaims it and files it.
+ * @returns {Promise<{stored?: {id: number}, duplicate?: {id: number}}>}
+ */
+async function storeMessage(clinicId, userId, message, unusable) {
+  const { data: stored, error } = await supabase
+    .from('hl7_messages')
+    .insert({
+      clinic_id: clinicId,
+      user_id: userId,
+      control_id: message.controlId,
+      sending_facility: message.sendingFacility,
+      status: unusable ? 'error' : 'processing',
+      processing_at: unusable ? null : new Date().toISOString(),
+      patient_id: message.patient?.id || null,
+      patient_name: message.patient?.name || null,
+      raw: message.raw,
+      results: message.results,
+      errors: message.errors
+    })
+    .select('id')
+    .single();
+
+  if (!error) return { stored };
+  if (error.code !== '23505') throw error; // unique_violation
+
+  const { data: seen, error: seenError } = await supabase
+    .from('hl7_messages')
+    .select('id')
+    .eq('clinic_id', clinicId)
+    .eq('control_id', message.controlId)
+    .neq('status', 'error')
+    .maybeSingle();
+
+  if (seenError) throw seenError;
+  if (!seen || unusable) return { duplicate: seen || { id: null } };
+
+  const { data: reclaimed, error: reclaimError } = await supabase
+    .from('hl7_messages')
+    .update({ status: 'processing', processing_at: new Date().toISOString(), user_id: userId })
+    .eq('id', seen.id)
+    .or(staleProcessingFilter())
+    .select('id')
+    .maybeSingle();
+
+  if (reclaimError) throw reclaimError;
+  return reclaimed ? { stored: reclaimed } : { duplicate: seen };
+}
+
+// What the app shows for one stored message
+function toQueueItem(row) {
+  return {
+    id: row.id,
+    controlId: row.control_id,
+    sendingFacility: row.sending_facility,
+    status: row.status,
+    patientId: row.patient_id,
+    patientName: row.patient_name,
+    results: row.results || [],
+    errors: row.errors || [],
+    labIds: row.lab_ids || [],
+    resolvedAt: row.resolved_at,
+    timestamp: row.created_at
+  };
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    // HL7 ingestion requires a real session (no user_id fallback). Interface
+    // engines sign in as a clinic member with the tech role or above.
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+    const userId = user.id;
+
+    const { clinicId, role, error: clinicError } = await resolveClinic(req, userId);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+    if (req.method !== 'GET' && !canWrite(role)) {
+      return res.status(403).json({ error: 'Read-only access to this clinic' });
+    }
+
+    // GET - Review queue (?status=unmatched by default; error, processed, dismissed).
+    // Messages a crashed request left 'processing' are listed with the
+    // unmatched ones, so someone can pick the patient and file them.
+    if (req.method === 'GET') {
+      const status = req.query.status || 'unmatched';
+      if (!QUEUE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Must be: ${QUEUE_STATUSES.join(', ')}` });
+      }
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+      let query = supabase
+        .from('hl7_messages')
+        .select('*')
+        .eq('clinic_id', clinicId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      query = status === 'unmatched'
+        ? query.or(`status.eq.unmatched,${staleProcessingFilter()}`)
+        : query.eq('status', status);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return res.status(200).json({ success: true, data: { messages: (data || []).map(toQueueItem) } });
+    }
+
+    // POST - Ingest raw HL7: a text/plain body, or JSON { message }
+    if (req.method === 'POST') {
+      const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body;
+      const text = typeof body === 'string' ? body : body?.message;
+      if (!text || typeof text !== 'string') {
+        return res.status(400).json({ error: 'HL7 message required (text/plain body or { message })' });
+      }
+
+      const ranges = await getLabRanges(clinicId);
+      const { messages, errors } = parseHL7(text, ranges);
+      if (messages.length === 0) {
+        return res.status(400).json({ error: 'No HL7 messages found (each must start with MSH)', errors });
+      }
+
+      const processed = [];
+      const entries = [];
+      for (const message of messages) {
+        // Nothing to file: wrong message type, no patient or no usable results
+        const unusable = !message.patient || message.results.length === 0 ||
+          message.errors.some(e => e.segment === 'MSH');
+
+        // Interface engines resend on timeouts - one message, one set of results
+        const { stored, duplicate } = await storeMessage(clinicId, userId, message, unusable);
+        if (duplicate) {
+          processed.push({ id: duplicate.id, controlId: message.controlId, status: 'duplicate', results: 0, linkedLabs: 0, errors: [] });
+          continue;
+        }
+
+        let status = 'error';
+        let patient = null;
+        let rows = [];
+        let itemsUpdated = false;
+        if (!unusable) {
+          try {
+            ({ patient, rows, itemsUpdated } = await applyMessage(clinicId, userId, stored.id, message, ranges));
+          } catch (applyError) {
+            // Nothing was filed (the labs insert is all or nothing) - a resend may try again
+            await supabase
+              .from('hl7_messages')
+              .update({ status: 'error', errors: [...message.errors, { segment: 'OBX', line: null, error: applyError.message }] })
+              .eq('id', stored.id);
+            throw applyError;
+          }
+          status = patient ? 'processed' : 'unmatched';
+
+          const { error: updateError } = await supabase
+            .from('hl7_messages')
+            .update({
+              status,
+              patient_key: patient?.importKey || null,
+              errors: message.errors,
+              lab_ids: rows.map(row => row.id)
+            })
+            .eq('id', stored.id);
+
+          if (updateError) throw updateError;
+        }
+
+        entries.push(...rows.map(toLabEntry));
+        processed.push({
+          id: stored.id,
+          controlId: message.controlId,
+          status,
+          patientName: message.patient?.name || null,
+          matchedPatientId: patient ? patient.id : null,
+          results: rows.length,
+          linkedLabs: itemsUpdated ? new Set(rows.filter(row => row.source_lab_id !== null).map(row => row.source_lab_id)).size : 0,
+          errors: message.errors
+        });
+      }
+
+      return res.status(200).json({ success: true, data: { messages: processed, entries, errors } });
+    }
+
+    // PUT - Resolve a queued message: ?id=... with { patientId } (flowsheet
+    // patient the results belong to) or { action: 'dismiss' }
+    if (req.method === 'PUT') {
+      const id = req.query.id;
+      if (!id) {
+        return res.status(400).json({ error: 'id required' });
+      }
+
+      const action = req.body?.action;
+      const patientId = req.body?.patientId;
+      if (action !== 'dismiss' && !Number.isInteger(patientId)) {
+        return res.status(400).json({ error: 'patientId or action: "dismiss" required' });
+      }
+
+      // Claim the message with a conditional update, so two people resolving
+      // it at once can't both file its results. A message a crashed request
+      // left 'processing' can be claimed again.
+      const { data: claimed, error: claimError } = await supabase
+        .from('hl7_messages')
+        .update({
+          status: action === 'dismiss' ? 'dismissed' : 'processing',
+          processing_at: new Date().toISOString(),
+          resolved_by: userId,
+          resolved_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .eq('clinic_id', clinicId)
+        .or(`status.eq.unmatched,${staleProcessingFilter()}`)
+        .select('*')
+        .maybeSingle();
+
+      if (claimError) throw claimError;
+      if (!claimed) {
+        const { data: current, error: currentError } = await supabase
+          .from('hl7_messages')
+          .select('status')
+          .eq('id', id)
+          .eq('clinic_id', clinicId)
+          .maybeSingle();
+
+        if (currentError) throw currentError;
+        if (!current) {
+          return res.status(404).json({ error: 'Message not found' });
+        }
+        return res.status(409).json({ error: `Message is already ${current.status}` });
+      }
+
+      if (action === 'dismiss') {
+        return res.status(200).json({ success: true, data: { message: toQueueItem(claimed), entries: [] } });
+      }
+
+      // Back to the review queue if nothing could be filed
+      const release = () => supabase
+        .from('hl7_messages')
+        .update({ status: 'unmatched', resolved_by: null, resolved_at: null })
+        .eq('id', claimed.id)
+        .eq('status', 'processing');
+
+      const ranges = await getLabRanges(clinicId);
+      const message = { patient: null, results: claimed.results || [], errors: [...(claimed.errors || [])] };
+      let applied;
+      try {
+        applied = await applyMessage(clinicId, userId, claimed.id, message, ranges, patientId);
+      } catch (applyError) {
+        await release();
+        throw applyError;
+      }
+
+      const { patient, rows } = applied;
+      if (!patient) {
+        await release();
+        return res.status(404).json({ error: 'Patient not found on the flowsheet' });
+      }
+
+      const { data, error } = await supabase
+        .from('hl7_messages')
+        .update({
+          status: 'processed',
+          patient_key: patient.importKey || null,
+          errors: message.errors,
+          lab_ids: rows.map(row => row.id)
+        })
+        .eq('id', claimed.id)
+        .eq('clinic_id', clinicId)
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      return res.status(200).json({ success: true, data: { message: toQueueItem(data), entries: rows.map(toLabEntry) } });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('HL7 API error:', error);
+    return res.status(500).json({ error: 'Failed to process HL7 messages', details: error.message });
+  }
+}
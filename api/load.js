@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
 import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic } from '../lib/clinic.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -9,7 +10,7 @@ export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -25,21 +26,17 @@ export default async function handler(req, res) {
     // Get type from query parameters
     const type = req.query.type || 'flowsheet';
 
-    // Authenticate: prefer JWT, fall back to user_id param
-    let userId = null;
+    // Authenticate (JWT only)
     const { user, error: authError } = await verifyAuth(req);
-
-    if (user) {
-      userId = user.id;
-    } else if (req.query.user_id) {
-      // Fallback for backward compatibility (deprecated)
-      userId = req.query.user_id;
-      console.warn('DEPRECATED: Using user_id param instead of JWT auth');
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
     }
+    const userId = user.id;
 
-    // Require authentication
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required', details: authError });
+    // Resolve active clinic (any member role may read)
+    const { clinicId, error: clinicError } = await resolveClinic(req, userId);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
     }
 
     // Valid types
@@ -48,24 +45,24 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid type. Must be: flowsheet, operations, snippets, labs, timestamp_logs, or wheelchair_profiles' });
     }
 
-    // Load from Supabase - filter by type and user_id
+    // Load from Supabase - filter by type and clinic_id
     const { data, error } = await supabase
       .from('app_data')
-      .select('data, updated_at')
+      .select('data, updated_at, revision')
       .eq('type', type)
-      .eq('user_id', userId)
+      .eq('clinic_id', clinicId)
       .single();
 
     if (error) {
       // No data found is not an error - return empty object
       if (error.code === 'PGRST116') {
-        return res.status(200).json({ success: true, data: {} });
+        return res.status(200).json({ success: true, data: {}, revision: 0 });
       }
       throw error;
     }
 
-    // Return the data in expected format
-    return res.status(200).json({ success: true, data: data.data });
+    // Return the data in expected format (revision is echoed back on save)
+    return res.status(200).json({ success: true, data: data.data, revision: data.revision, updated_at: data.updated_at });
 
   } catch (error) {
     console.error('Load error:', error);
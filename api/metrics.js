@@ -0,0 +1,173 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic } from '../lib/clinic.js';
+import { DATE_PATTERN, isoDate, percent, fetchAll } from '../lib/helpers.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+// Same defaults as the post_weight_vs_dry and early_termination rules in index.html
+const DEFAULT_DRY_WEIGHT_KG = 1.5;
+const DEFAULT_EARLY_TERMINATION_MINUTES = 15;
+
+// Thresholds come from the clinic's rules so the dashboard agrees with the alerts
+async function getThresholds(clinicId) {
+  const { data, error } = await supabase
+    .from('app_data')
+    .select('data')
+    .eq('type', 'clinical_rules')
+    .eq('clinic_id', clinicId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const rules = data?.data?.rules || [];
+  const threshold = (id, fallback) => {
+    const rule = rules.find(r => r.id === id && typeof r.threshold === 'number');
+    return rule ? rule.threshold : fallback;
+  };
+
+  return {
+    dryWeightKg: threshold('post_weight_vs_dry', DEFAULT_DRY_WEIGHT_KG),
+    earlyTerminationMinutes: threshold('early_termination', DEFAULT_EARLY_TERMINATION_MINUTES)
+  };
+}
+
+/**
+ * Aggregate treatments rows into QA figures.
+ * @param {Array} rows - treatments rows
+ * @param {{dryWeightKg: number, earlyTerminationMinutes: number}} thresholds
+ * @returns {object}
+ */
+function summarize(rows, thresholds) {
+  const completed = rows.filter(r => r.outcome === 'completed');
+  const weighed = completed.filter(r => r.post_weight !== null && r.dry_weight !== null);
+  const withinDryWeight = weighed.filter(r => Math.abs(r.post_weight - r.dry_weight) <= thresholds.dryWeightKg).length;
+  const timed = completed.filter(r => r.rx_minutes !== null && r.duration_minutes !== null);
+  const earlyTerminations = timed.filter(r => r.rx_minutes - r.duration_minutes > thresholds.earlyTerminationMinutes).length;
+  const missed = rows.filter(r => r.outcome === 'missed').length;
+  const hospitalized = rows.filter(r => r.outcome === 'hospitalized').length;
+
+  const techCheckByType = {};
+  rows.forEach(r => (r.tech_check_issues || []).forEach(issue => {
+    techCheckByType[issue] = (techCheckByType[issue] || 0) + 1;
+  }));
+
+  return {
+    treatments: rows.length,
+    completed: completed.length,
+    weighed: weighed.length,
+    withinDryWeight,
+    withinDryWeightPct: percent(withinDryWeight, weighed.length),
+    timed: timed.length,
+    earlyTerminations,
+    earlyTerminationPct: percent(earlyTerminations, timed.length),
+    missed,
+    missedPct: percent(missed, rows.length),
+    hospitalized,
+    hospitalizedPct: percent(hospitalized, rows.length),
+    techCheckIssues: Object.values(techCheckByType).reduce((sum, n) => sum + n, 0),
+    techCheckByType
+  };
+}
+
+// One summary per distinct value of a column, sorted by key
+function breakdown(rows, column, thresholds) {
+  const groups = new Map();
+  rows.forEach(r => {
+    const key = r[column] || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([key, groupRows]) => ({ key, ...summarize(groupRows, thresholds) }));
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Metrics require a real session (no user_id fallback)
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+
+    const { clinicId, error: clinicError } = await resolveClinic(req, user.id);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+
+    // Filters: from/to (treatment dates, default the last 30 days), shift, section, technician
+    const to = req.query.to || isoDate(new Date());
+    const from = req.query.from || isoDate(new Date(Date.now() - (DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000));
+    const { shift, section, technician } = req.query;
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      return res.status(400).json({ error: 'from/to must be dates (YYYY-MM-DD)' });
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (days < 1 || days > MAX_DAYS) {
+      return res.status(400).json({ error: `Date range must be 1 to ${MAX_DAYS} days` });
+    }
+
+    const thresholds = await getThresholds(clinicId);
+
+    const treatments = await fetchAll(() => {
+      let query = supabase
+        .from('treatments')
+        .select('treatment_date, shift, section, technician, outcome, rx_minutes, duration_minutes, dry_weight, post_weight, tech_check_issues')
+        .eq('clinic_id', clinicId)
+        .gte('treatment_date', from)
+        .lte('treatment_date', to)
+        .order('id', { ascending: true });
+
+      if (shift) query = query.eq('shift', shift);
+      if (section) query = query.eq('section', section);
+      if (technician) query = query.eq('technician', technician);
+      return query;
+    });
+
+    // NUMERIC columns come back as strings
+    const rows = treatments.map(row => ({
+      ...row,
+      dry_weight: row.dry_weight === null ? null : Number(row.dry_weight),
+      post_weight: row.post_weight === null ? null : Number(row.post_weight)
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        thresholds,
+        overall: summarize(rows, thresholds),
+        byTechnician: breakdown(rows, 'technician', thresholds),
+        bySection: breakdown(rows, 'section', thresholds),
+        byShift: breakdown(rows, 'shift', thresholds),
+        byDate: breakdown(rows, 'treatment_date', thresholds)
+      }
+    });
+
+  } catch (error) {
+    console.error('Metrics API error:', error);
+    return res.status(500).json({ error: 'Failed to load quality metrics', details: error.message });
+  }
+}
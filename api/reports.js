@@ -0,0 +1,182 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic, canWrite } from '../lib/clinic.js';
+import { DATE_PATTERN } from '../lib/helpers.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+/**
+ * Validate the sections of a report being finalized.
+ * @param {Array} sections - [{id, title, entries: [{patientId, name, chair, text}]}]
+ * @returns {{sections?: Array, error?: string}}
+ */
+function normalizeSections(sections) {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return { error: 'sections must be a non-empty array' };
+  }
+
+  const normalized = [];
+  for (const section of sections) {
+    if (!section?.id || !section.title || !Array.isArray(section.entries)) {
+      return { error: 'Each section needs an id, a title and an entries array' };
+    }
+    normalized.push({
+      id: String(section.id),
+      title: String(section.title),
+      entries: section.entries.map(entry => ({
+        patientId: entry.patientId ?? null,
+        name: String(entry.name || ''),
+        chair: String(entry.chair || ''),
+        text: String(entry.text || '')
+      }))
+    });
+  }
+  return { sections: normalized };
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    // Reports require a real session (no user_id fallback)
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+
+    const { clinicId, role, error: clinicError } = await resolveClinic(req, user.id);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+
+    // GET - One report in full, or a list of report headers
+    if (req.method === 'GET') {
+      if (req.query.id) {
+        const { data, error } = await supabase
+          .from('shift_reports')
+          .select('id, user_id, author_name, report_date, shift, shift_name, sections, data, finalized_at')
+          .eq('clinic_id', clinicId)
+          .eq('id', req.query.id)
+          .maybeSingle();
+
+        if (error) throw error;
+        if (!data) {
+          return res.status(404).json({ error: 'Report not found' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            report: {
+              id: data.id,
+              authorName: data.author_name || '',
+              date: data.report_date,
+              shift: data.shift,
+              shiftName: data.shift_name || data.shift,
+              sections: data.sections,
+              data: data.data,
+              finalizedAt: data.finalized_at
+            }
+          }
+        });
+      }
+
+      // Filters: from/to (report dates, YYYY-MM-DD), shift, limit
+      const { from, to, shift } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+      if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return res.status(400).json({ error: 'from/to must be dates (YYYY-MM-DD)' });
+      }
+
+      let query = supabase
+        .from('shift_reports')
+        .select('id, author_name, report_date, shift, shift_name, sections, finalized_at')
+        .eq('clinic_id', clinicId)
+        .order('report_date', { ascending: false })
+        .order('finalized_at', { ascending: false })
+        .limit(limit);
+
+      if (from) query = query.gte('report_date', from);
+      if (to) query = query.lte('report_date', to);
+      if (shift) query = query.eq('shift', shift);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      // Headers only - entry counts instead of the full text
+      const reports = (data || []).map(row => ({
+        id: row.id,
+        authorName: row.author_name || '',
+        date: row.report_date,
+        shift: row.shift,
+        shiftName: row.shift_name || row.shift,
+        finalizedAt: row.finalized_at,
+        counts: Object.fromEntries((row.sections || []).map(s => [s.id, s.entries.length]))
+      }));
+
+      return res.status(200).json({ success: true, data: { reports } });
+    }
+
+    // POST - Finalize: store the current report. Reports are never updated.
+    if (req.method === 'POST') {
+      if (!canWrite(role)) {
+        return res.status(403).json({ error: 'Read-only members cannot finalize reports' });
+      }
+
+      const { date, shift, shiftName, data = {} } = req.body || {};
+      if (!DATE_PATTERN.test(String(date || '')) || isNaN(Date.parse(date))) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+      }
+      if (!shift || typeof shift !== 'string') {
+        return res.status(400).json({ error: 'shift required' });
+      }
+
+      const { sections, error: validationError } = normalizeSections(req.body.sections);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { data: row, error } = await supabase
+        .from('shift_reports')
+        .insert({
+          clinic_id: clinicId,
+          user_id: user.id,
+          author_name: user.user_metadata?.display_name || user.email || '',
+          report_date: date,
+          shift,
+          shift_name: shiftName ? String(shiftName) : shift,
+          sections,
+          data: data && typeof data === 'object' ? data : {}
+        })
+        .select('id, finalized_at')
+        .single();
+
+      if (error) throw error;
+
+      return res.status(200).json({
+        success: true,
+        message: 'Report finalized',
+        data: { id: row.id, finalizedAt: row.finalized_at }
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Reports API error:', error);
+    return res.status(500).json({ error: 'Failed to process shift reports', details: error.message });
+  }
+}
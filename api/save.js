@@ -1,5 +1,9 @@
 import { createClient } from '@supabase/supabase-js';
 import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic, canWrite } from '../lib/clinic.js';
+import { snapshotAppData } from '../lib/snapshots.js';
+import { recordTreatments } from '../lib/treatments.js';
+import { getImportKeyChanges } from '../lib/importKey.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -9,7 +13,7 @@ export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -33,21 +37,20 @@ export default async function handler(req, res) {
     const type = body.type || 'flowsheet';
     const dataToSave = body.data || body;
 
-    // Authenticate: prefer JWT, fall back to user_id param
-    let userId = null;
+    // Authenticate (JWT only)
     const { user, error: authError } = await verifyAuth(req);
-
-    if (user) {
-      userId = user.id;
-    } else if (body.user_id) {
-      // Fallback for backward compatibility (deprecated)
-      userId = body.user_id;
-      console.warn('DEPRECATED: Using user_id param instead of JWT auth');
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
     }
+    const userId = user.id;
 
-    // Require authentication
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required', details: authError });
+    // Resolve active clinic and make sure this member may write to it
+    const { clinicId, role, error: clinicError } = await resolveClinic(req, userId);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+    if (!canWrite(role)) {
+      return res.status(403).json({ error: 'Read-only access to this clinic' });
     }
 
     // Valid types
@@ -56,31 +59,78 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid type. Must be: flowsheet, operations, snippets, labs, timestamp_logs, or wheelchair_profiles' });
     }
 
-    const timestamp = new Date().toISOString();
+    // Optimistic concurrency: clients send the revision their copy is based on
+    const expectedRevision = Number.isInteger(body.revision) ? body.revision : null;
 
-    // Build the record to upsert
-    const record = {
-      type: type,
-      user_id: userId,
-      data: dataToSave,
-      updated_at: timestamp
-    };
-
-    // Upsert with composite key
-    const { error } = await supabase
-      .from('app_data')
-      .upsert(record, { onConflict: 'type,user_id' })
-      .select();
+    // Compare-and-set write (see supabase_schema_v8_audit.sql)
+    const { data: rows, error } = await supabase.rpc('save_app_data', {
+      p_type: type,
+      p_clinic_id: clinicId,
+      p_user_id: userId, // last writer
+      p_data: dataToSave,
+      p_expected_revision: expectedRevision
+    });
 
     if (error) {
       throw error;
     }
 
+    const result = rows && rows[0];
+    if (!result) {
+      throw new Error('No result from save_app_data');
+    }
+
+    // Stale revision - return the server copy so the client can merge
+    if (!result.saved) {
+      return res.status(409).json({
+        error: 'Revision conflict',
+        conflict: true,
+        type: type,
+        revision: result.revision,
+        data: result.data,
+        updated_at: result.updated_at
+      });
+    }
+
+    // Point-in-time snapshot of the document we just replaced. Clients pass
+    // snapshotReason (e.g. 'import') to force one outside the usual throttle.
+    const snapshotReason = /^[a-z_]{1,32}$/.test(body.snapshotReason || '') ? body.snapshotReason : 'save';
+    try {
+      await snapshotAppData(clinicId, userId, type, result.previous_data, {
+        revision: result.revision - 1,
+        reason: snapshotReason
+      });
+    } catch (snapshotError) {
+      console.error('Snapshot error:', snapshotError);
+    }
+
+    // The patient audit trail was written by save_app_data in the same transaction.
+    // Treatments outlive the flowsheet (reset clears it every shift).
+    if (type === 'flowsheet') {
+      // Patients moved off a legacy import key take their history with them
+      // (see supabase_schema_v21_import_keys.sql) before today's row is written
+      for (const { from, to } of getImportKeyChanges(result.previous_data, dataToSave)) {
+        const { error: rekeyError } = await supabase.rpc('rekey_patient_history', {
+          p_clinic_id: clinicId,
+          p_legacy_key: from,
+          p_patient_key: to
+        });
+        if (rekeyError) console.error('Re-key patient history error:', rekeyError);
+      }
+
+      try {
+        await recordTreatments(clinicId, userId, result.previous_data, dataToSave);
+      } catch (treatmentError) {
+        console.error('Treatment history error:', treatmentError);
+      }
+    }
+
     return res.status(200).json({
       success: true,
       message: 'Data saved successfully',
       type: type,
-      timestamp: timestamp
+      revision: result.revision,
+      timestamp: result.updated_at
     });
 
   } catch (error) {
@@ -0,0 +1,180 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic, canManage } from '../lib/clinic.js';
+import { snapshotAppData, diffDocuments } from '../lib/snapshots.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Valid types (same as /api/load and /api/save, plus the /api/config documents)
+const validTypes = ['flowsheet', 'operations', 'snippets', 'labs', 'timestamp_logs', 'wheelchair_profiles', 'floor_config', 'clinical_rules', 'lab_ranges'];
+
+// Helper to fetch one snapshot belonging to the clinic
+async function getSnapshot(clinicId, snapshotId) {
+  const { data, error } = await supabase
+    .from('app_data_backups')
+    .select('id, type, data, revision, reason, created_at')
+    .eq('id', snapshotId)
+    .eq('clinic_id', clinicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Helper to fetch the current document of a type
+async function getCurrentDocument(clinicId, type) {
+  const { data, error } = await supabase
+    .from('app_data')
+    .select('data, revision')
+    .eq('type', type)
+    .eq('clinic_id', clinicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    // Snapshots require a real session (no user_id fallback)
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+    const userId = user.id;
+
+    const { clinicId, role, error: clinicError } = await resolveClinic(req, userId);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+
+    // GET - List snapshots for a type, or preview one against the current document
+    if (req.method === 'GET') {
+      if (req.query.id) {
+        const snapshot = await getSnapshot(clinicId, req.query.id);
+        if (!snapshot) {
+          return res.status(404).json({ error: 'Snapshot not found' });
+        }
+
+        const current = await getCurrentDocument(clinicId, snapshot.type);
+        return res.status(200).json({
+          success: true,
+          data: {
+            id: snapshot.id,
+            type: snapshot.type,
+            timestamp: snapshot.created_at,
+            diff: diffDocuments(current?.data, snapshot.data)
+          }
+        });
+      }
+
+      const type = req.query.type || 'flowsheet';
+      if (!validTypes.includes(type)) {
+        return res.status(400).json({ error: `Invalid type. Must be: ${validTypes.join(', ')}` });
+      }
+
+      const { data, error } = await supabase
+        .from('app_data_backups')
+        .select('id, type, user_id, revision, reason, created_at')
+        .eq('clinic_id', clinicId)
+        .eq('type', type)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      // Attach email/display name for each distinct user
+      const users = {};
+      for (const id of new Set((data || []).map(row => row.user_id).filter(Boolean))) {
+        const { data: snapshotUser } = await supabase.auth.admin.getUserById(id);
+        users[id] = snapshotUser?.user?.user_metadata?.display_name || snapshotUser?.user?.email || '';
+      }
+
+      const snapshots = (data || []).map(row => ({
+        id: row.id,
+        type: row.type,
+        revision: row.revision,
+        reason: row.reason,
+        savedBy: users[row.user_id] || '',
+        timestamp: row.created_at
+      }));
+
+      return res.status(200).json({ success: true, data: { snapshots } });
+    }
+
+    // POST - Restore a snapshot
+    if (req.method === 'POST') {
+      const { action, id } = req.body;
+
+      if (action !== 'restore') {
+        return res.status(400).json({ error: 'Unknown action' });
+      }
+
+      // Restoring replaces the whole document for everyone in the clinic
+      if (!canManage(role)) {
+        return res.status(403).json({ error: 'Only clinic admins and charge nurses can restore snapshots' });
+      }
+
+      if (!id) {
+        return res.status(400).json({ error: 'id required for restore' });
+      }
+
+      const snapshot = await getSnapshot(clinicId, id);
+      if (!snapshot) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+      }
+
+      // Keep what we are about to replace, so the restore itself can be undone.
+      // Taken first: if it fails, nothing has been restored yet.
+      const current = await getCurrentDocument(clinicId, snapshot.type);
+      await snapshotAppData(clinicId, userId, snapshot.type, current?.data || null, {
+        revision: current?.revision ?? null,
+        reason: 'pre_restore'
+      });
+
+      // Write the snapshot back as a new revision so other devices reload it.
+      // Only over the copy we just kept - a save in between means try again.
+      const { data: rows, error } = await supabase.rpc('save_app_data', {
+        p_type: snapshot.type,
+        p_clinic_id: clinicId,
+        p_user_id: userId,
+        p_data: snapshot.data,
+        p_expected_revision: current?.revision ?? 0
+      });
+
+      if (error) throw error;
+
+      const result = rows && rows[0];
+      if (!result) {
+        throw new Error('No result from save_app_data');
+      }
+
+      if (!result.saved) {
+        return res.status(409).json({ error: 'The document was saved while restoring - nothing was restored, please try again' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Snapshot restored',
+        type: snapshot.type,
+        revision: result.revision
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Snapshots API error:', error);
+    return res.status(500).json({ error: 'Failed to process snapshots', details: error.message });
+  }
+}
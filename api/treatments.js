@@ -0,0 +1,99 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyAuth } from '../lib/auth.js';
+import { resolveClinic } from '../lib/clinic.js';
+import { DATE_PATTERN } from '../lib/helpers.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const DEFAULT_LIMIT = 90;
+const MAX_LIMIT = 500;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Clinic-Id');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Treatments are written by /api/save - read access only
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Treatment history requires a real session (no user_id fallback)
+    const { user, error: authError } = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', details: authError });
+    }
+
+    const { clinicId, error: clinicError } = await resolveClinic(req, user.id);
+    if (!clinicId) {
+      return res.status(403).json({ error: clinicError });
+    }
+
+    // Filters: patient_key (required), from/to (treatment dates), limit
+    const { patient_key, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    if (!patient_key) {
+      return res.status(400).json({ error: 'patient_key required' });
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ error: 'from/to must be dates (YYYY-MM-DD)' });
+    }
+
+    // Newest first so the limit keeps the most recent treatments
+    let query = supabase
+      .from('treatments')
+      .select('*')
+      .eq('clinic_id', clinicId)
+      .eq('patient_key', String(patient_key))
+      .order('treatment_date', { ascending: false })
+      .order('start_time', { ascending: false })
+      .limit(limit);
+
+    if (from) query = query.gte('treatment_date', from);
+    if (to) query = query.lte('treatment_date', to);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    // Oldest first for charting; NUMERIC columns arrive as strings
+    const number = value => (value === null ? null : Number(value));
+    const treatments = (data || []).reverse().map(row => ({
+      id: row.id,
+      patientName: row.patient_name,
+      date: row.treatment_date,
+      shift: row.shift,
+      section: row.section,
+      chair: row.chair,
+      technician: row.technician,
+      technicianUserId: row.technician_user_id || null,
+      machineSerial: row.machine_serial || null,
+      rxMinutes: row.rx_minutes,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      durationMinutes: row.duration_minutes,
+      dryWeight: number(row.dry_weight),
+      preWeight: number(row.pre_weight),
+      postWeight: number(row.post_weight),
+      goalUF: number(row.goal_uf),
+      actualUF: number(row.actual_uf),
+      qa: row.qa || {},
+      notes: row.notes || '',
+      outcome: row.outcome || 'completed'
+    }));
+
+    return res.status(200).json({ success: true, data: { treatments } });
+
+  } catch (error) {
+    console.error('Treatments API error:', error);
+    return res.status(500).json({ error: 'Failed to load treatment history', details: error.message });
+  }
+}
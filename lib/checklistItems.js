@@ -0,0 +1,92 @@
+// Checklist item types. A plain item is a checkbox; data-capture items record
+// a value in their completion:
+//   number   - {units, min, max}; a value outside min..max is out of range and
+//              the item is not complete until a corrective-action note is added
+//   text     - free text (e.g. a dialysate culture lot number)
+//   initials - 1-4 letters
+//   yesno    - 'yes' or 'no', with a required comment on {commentOn} answers;
+//              such an answer is flagged out of range like a number, so it
+//              only counts as complete once its note is added
+//
+// Mirrors getChecklistValueStatus() in index.html.
+
+export const ITEM_TYPES = ['checkbox', 'number', 'text', 'initials', 'yesno'];
+
+const COMMENT_ON = ['no', 'yes', 'always'];
+const MAX_VALUE_LENGTH = 200;
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Client item {type, units, min, max, commentOn} -> stored item_type + config.
+ * @param {object} item
+ * @returns {{type: string, config: object|null}}
+ */
+export function normalizeItemType(item) {
+  const type = ITEM_TYPES.includes(item?.type) ? item.type : 'checkbox';
+  if (type === 'number') {
+    return {
+      type,
+      config: { units: String(item.units || '').trim().slice(0, 20), min: toNumber(item.min), max: toNumber(item.max) }
+    };
+  }
+  if (type === 'yesno') {
+    return { type, config: { commentOn: COMMENT_ON.includes(item.commentOn) ? item.commentOn : 'no' } };
+  }
+  return { type, config: null };
+}
+
+/**
+ * Stored item_type + config -> the client's flat item fields.
+ * @param {string} type
+ * @param {object|null} config
+ * @returns {object}
+ */
+export function itemTypeFields(type, config) {
+  if (type === 'number') {
+    return { type, units: config?.units || '', min: toNumber(config?.min), max: toNumber(config?.max) };
+  }
+  if (type === 'yesno') {
+    return { type, commentOn: config?.commentOn || 'no' };
+  }
+  return { type: ITEM_TYPES.includes(type) ? type : 'checkbox' };
+}
+
+/**
+ * Clean a recorded value and work out whether it is out of range (or, for
+ * yes/no, needs a comment). The server recomputes this rather than trusting
+ * the client's flag.
+ * @param {object} item - Client item fields (see normalizeItemType)
+ * @param {*} value
+ * @returns {{value: string|null, outOfRange: boolean}|{error: string}}
+ */
+export function checkItemValue(item, value) {
+  const type = ITEM_TYPES.includes(item?.type) ? item.type : 'checkbox';
+  if (type === 'checkbox' || value === null || value === undefined || value === '') {
+    return { value: null, outOfRange: false };
+  }
+
+  const text = String(value).trim();
+  if (type === 'number') {
+    const number = toNumber(text);
+    if (number === null) return { error: `"${text.slice(0, 20)}" is not a number` };
+    const min = toNumber(item.min);
+    const max = toNumber(item.max);
+    return { value: text, outOfRange: (min !== null && number < min) || (max !== null && number > max) };
+  }
+  if (type === 'initials') {
+    if (!/^[A-Za-z]{1,4}$/.test(text)) return { error: 'Initials are 1 to 4 letters' };
+    return { value: text.toUpperCase(), outOfRange: false };
+  }
+  if (type === 'yesno') {
+    const answer = text.toLowerCase();
+    if (answer !== 'yes' && answer !== 'no') return { error: 'Answer yes or no' };
+    const commentOn = COMMENT_ON.includes(item.commentOn) ? item.commentOn : 'no';
+    return { value: answer, outOfRange: commentOn === 'always' || commentOn === answer };
+  }
+  return { value: text.slice(0, MAX_VALUE_LENGTH), outOfRange: false };
+}
@@ -0,0 +1,104 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+export const CLINIC_ROLES = ['admin', 'charge', 'tech', 'read_only'];
+
+/**
+ * Create a clinic with the user as its admin (one transaction)
+ * @param {string} userId - The user who becomes the clinic admin
+ * @param {string} name - Display name for the clinic
+ * @returns {Promise<{clinicId: string, role: string}>}
+ */
+export async function createClinicForUser(userId, name) {
+  const { data: clinicId, error } = await supabase.rpc('create_clinic', {
+    p_user_id: userId,
+    p_name: name
+  });
+
+  if (error) throw error;
+
+  return { clinicId, role: 'admin' };
+}
+
+/**
+ * The user's oldest membership, or a personal clinic created for a user with
+ * none. Safe to call from concurrent first-login requests (see
+ * ensure_user_clinic in supabase_schema_v5_clinics.sql).
+ * @param {string} userId
+ * @returns {Promise<{clinicId: string, role: string}>}
+ */
+export async function ensureUserClinic(userId) {
+  const { data, error } = await supabase.rpc('ensure_user_clinic', { p_user_id: userId });
+
+  if (error) throw error;
+  if (!data || !data[0]) throw new Error('No result from ensure_user_clinic');
+
+  return { clinicId: data[0].clinic_id, role: data[0].role };
+}
+
+/**
+ * The clinic's salt for patient import keys (see lib/importKey.js)
+ * @param {string} clinicId
+ * @returns {Promise<string>}
+ */
+export async function getImportKeySalt(clinicId) {
+  const { data, error } = await supabase
+    .from('clinics')
+    .select('import_key_salt')
+    .eq('id', clinicId)
+    .single();
+
+  if (error) throw error;
+  return data.import_key_salt;
+}
+
+/**
+ * Resolve the active clinic for a request and the user's role in it.
+ * Uses the X-Clinic-Id header (or clinic_id param); without one, falls back
+ * to the user's oldest membership, creating a personal clinic if needed.
+ * @param {Request} req - The request object
+ * @param {string} userId - The authenticated user ID
+ * @returns {Promise<{clinicId: string|null, role: string|null, error: string|null}>}
+ */
+export async function resolveClinic(req, userId) {
+  const requestedClinicId = req.headers['x-clinic-id'] || req.query.clinic_id || req.body?.clinic_id;
+
+  if (requestedClinicId) {
+    const { data, error } = await supabase
+      .from('clinic_members')
+      .select('role')
+      .eq('clinic_id', requestedClinicId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return { clinicId: null, role: null, error: 'Not a member of this clinic' };
+    }
+    return { clinicId: requestedClinicId, role: data.role, error: null };
+  }
+
+  const { clinicId, role } = await ensureUserClinic(userId);
+  return { clinicId, role, error: null };
+}
+
+/**
+ * Whether a role may modify clinic data (read_only members may not)
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function canWrite(role) {
+  return role === 'admin' || role === 'charge' || role === 'tech';
+}
+
+/**
+ * Whether a role may run destructive checklist maintenance (restore/recover)
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function canManage(role) {
+  return role === 'admin' || role === 'charge';
+}
@@ -0,0 +1,232 @@
+// Dialysis machine registry. Machines are registered by serial and assigned
+// to a chair from the floor config; disinfection, alarm tests and preventive
+// maintenance are logged as machine_events and each has a due date:
+//   the event's next_due if one was entered (e.g. from the PM sticker),
+//   otherwise the day it was performed plus the machine's interval.
+// The latest event of each type is kept on the machine (last_events) so the
+// registry doesn't read the whole log.
+
+import { DATE_PATTERN, isoDate } from './helpers.js';
+
+export const MACHINE_STATUSES = ['active', 'out_of_service', 'retired'];
+
+// Logged by hand along with 'repair'; 'assigned' and 'status' events are
+// written by the API on chair and status changes
+export const MAINTENANCE_TYPES = ['heat_disinfect', 'chemical_disinfect', 'alarm_test', 'pm'];
+const RESULT_TYPES = ['alarm_test', 'pm'];
+
+// Days between events; a machine's own intervals override these (0 = not tracked)
+export const DEFAULT_INTERVALS = {
+  heat_disinfect: 1,
+  chemical_disinfect: 7,
+  alarm_test: 1,
+  pm: 180
+};
+
+// Long intervals are flagged as due this many days ahead
+const DUE_SOON_DAYS = 14;
+const DUE_SOON_MIN_INTERVAL = 30;
+
+const SECTION_PATTERN = /^[A-Za-z0-9_-]{1,16}$/;
+const SERIAL_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._/-]{0,39}$/;
+const MAX_INTERVAL = 730;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Validate a machine posted by the registry editor.
+ * @param {object} machine - {serial, model, section, chair, status, intervals, notes}
+ * @param {object|null} floorConfig - Clinic floor config (sections and their chairs)
+ * @returns {{row?: object, error?: string}}
+ */
+export function buildMachineRow(machine, floorConfig) {
+  if (!machine || typeof machine !== 'object') {
+    return { error: 'machine object required' };
+  }
+
+  const serial = String(machine.serial || '').trim();
+  if (!SERIAL_PATTERN.test(serial)) {
+    return { error: 'Serial must be 1-40 letters, numbers, . _ / or -' };
+  }
+
+  const status = machine.status || 'active';
+  if (!MACHINE_STATUSES.includes(status)) {
+    return { error: `status must be ${MACHINE_STATUSES.join(', ')}` };
+  }
+
+  // Retired machines come off the floor
+  const section = status === 'retired' ? '' : String(machine.section || '').trim();
+  const chair = section && machine.chair !== null && machine.chair !== undefined && machine.chair !== ''
+    ? Number(machine.chair)
+    : null;
+  if (chair !== null && !(Number.isInteger(chair) && chair > 0)) {
+    return { error: 'chair must be a whole number' };
+  }
+  // Until the clinic saves its own floor config the app uses its built-in
+  // layout, which the server doesn't have - only the format is checked then
+  if (section && floorConfig?.sections?.length) {
+    const configured = floorConfig.sections.find(s => s.key === section);
+    if (!configured) {
+      return { error: `Unknown section "${section}"` };
+    }
+    if (chair !== null && !(configured.chairs || []).includes(chair)) {
+      return { error: `Section ${section} has no chair ${machine.chair}` };
+    }
+  } else if (section && !SECTION_PATTERN.test(section)) {
+    return { error: `Invalid section "${section}"` };
+  }
+
+  const intervals = {};
+  for (const type of MAINTENANCE_TYPES) {
+    const given = machine.intervals?.[type];
+    if (given === undefined || given === null || given === '') continue;
+    const days = Number(given);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_INTERVAL) {
+      return { error: `${type} interval must be 0 to ${MAX_INTERVAL} days` };
+    }
+    intervals[type] = days;
+  }
+
+  return {
+    row: {
+      serial,
+      model: String(machine.model || '').trim().slice(0, 60) || null,
+      section: section || null,
+      chair: section ? chair : null,
+      status,
+      intervals,
+      notes: String(machine.notes || '').trim().slice(0, 500) || null,
+      updated_at: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Validate an event logged from the app.
+ * @param {object} event - {machineId, type, performedAt, result, nextDue, notes}
+ * @returns {{row?: object, error?: string}}
+ */
+export function buildEventRow(event) {
+  if (!event || typeof event !== 'object') {
+    return { error: 'event object required' };
+  }
+  if (!MAINTENANCE_TYPES.includes(event.type) && event.type !== 'repair') {
+    return { error: `type must be ${[...MAINTENANCE_TYPES, 'repair'].join(', ')}` };
+  }
+
+  const performedAt = event.performedAt ? new Date(event.performedAt) : new Date();
+  if (Number.isNaN(performedAt.getTime())) {
+    return { error: 'performedAt must be a date/time' };
+  }
+  if (performedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+    return { error: 'performedAt is in the future' };
+  }
+
+  const result = event.result || null;
+  if (result && (!RESULT_TYPES.includes(event.type) || !['pass', 'fail'].includes(result))) {
+    return { error: 'result is pass or fail, for alarm tests and PM only' };
+  }
+
+  const nextDue = event.nextDue || null;
+  if (nextDue && !DATE_PATTERN.test(nextDue)) {
+    return { error: 'nextDue must be a date (YYYY-MM-DD)' };
+  }
+
+  return {
+    row: {
+      event_type: event.type,
+      performed_at: performedAt.toISOString(),
+      result,
+      next_due: nextDue,
+      notes: String(event.notes || '').trim().slice(0, 500) || null
+    }
+  };
+}
+
+/**
+ * The machine's last_events summary with a newly logged event, or null if
+ * the summary already has a later event of that type.
+ * @param {object} lastEvents - machines.last_events
+ * @param {object} event - machine_events row
+ * @returns {object|null}
+ */
+export function applyLastEvent(lastEvents, event) {
+  if (!MAINTENANCE_TYPES.includes(event.event_type)) return null;
+  const current = lastEvents?.[event.event_type];
+  if (current && Date.parse(current.at) > Date.parse(event.performed_at)) return null;
+  return {
+    ...(lastEvents || {}),
+    [event.event_type]: { at: event.performed_at, result: event.result || null, nextDue: event.next_due || null }
+  };
+}
+
+/**
+ * Due status of each maintenance type from the machine's latest events.
+ * @param {object} machine - machines row
+ * @param {Date} [now]
+ * @returns {object} {type: {lastAt, result, dueDate, state}}; state is 'ok',
+ *   'due' (today, or soon for long intervals), 'overdue', 'failed' (latest
+ *   result was a fail), 'never' (nothing logged) or 'off' (not tracked)
+ */
+export function getMaintenanceStatus(machine, now = new Date()) {
+  const today = isoDate(now);
+  const status = {};
+
+  for (const type of MAINTENANCE_TYPES) {
+    const interval = machine.intervals?.[type] ?? DEFAULT_INTERVALS[type];
+    const latest = machine.last_events?.[type];
+
+    if (!latest) {
+      status[type] = { lastAt: null, result: null, dueDate: null, state: interval > 0 ? 'never' : 'off' };
+      continue;
+    }
+
+    const dueDate = latest.nextDue || (interval > 0 ? addDays(isoDate(new Date(latest.at)), interval) : null);
+    let state = 'ok';
+    if (latest.result === 'fail') state = 'failed';
+    else if (!dueDate) state = 'off';
+    else if (dueDate < today) state = 'overdue';
+    else if (dueDate === today || (interval >= DUE_SOON_MIN_INTERVAL && daysBetween(today, dueDate) <= DUE_SOON_DAYS)) state = 'due';
+
+    status[type] = { lastAt: latest.at, result: latest.result || null, dueDate, state };
+  }
+  return status;
+}
+
+// machines row -> machine as the app shows it
+export function toMachine(row) {
+  return {
+    id: row.id,
+    serial: row.serial,
+    model: row.model || '',
+    section: row.section || '',
+    chair: row.chair ?? null,
+    status: row.status,
+    intervals: { ...DEFAULT_INTERVALS, ...(row.intervals || {}) },
+    notes: row.notes || '',
+    updatedAt: row.updated_at || null
+  };
+}
+
+// machine_events row -> event as the app shows it
+export function toMachineEvent(row) {
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    type: row.event_type,
+    performedAt: row.performed_at,
+    result: row.result || null,
+    nextDue: row.next_due || null,
+    notes: row.notes || '',
+    section: row.section || '',
+    chair: row.chair ?? null,
+    userName: row.user_name || ''
+  };
+}
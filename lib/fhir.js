@@ -0,0 +1,461 @@
+import { randomUUID } from 'crypto';
+import { clockMinutes } from './helpers.js';
+
+const LOINC = 'http://loinc.org';
+const SNOMED = 'http://snomed.info/sct';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const INTERPRETATION = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const ACT_CODE = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+// Flowsheet values with no standard code (dry weight, goal UF, machine readings...)
+const LOCAL_CODES = 'urn:hdflowsheet:code';
+// patient.importKey - a hash of the census Match Key, not the MRN itself
+const PATIENT_KEY_SYSTEM = 'urn:hdflowsheet:patient-key';
+const TREATMENT_SYSTEM = 'urn:hdflowsheet:treatment';
+
+// Default lab range analytes (lib/labs.js) with their LOINC codes
+const LAB_LOINC = {
+  K: ['2823-3', 'Potassium [Moles/volume] in Serum or Plasma'],
+  Na: ['2951-2', 'Sodium [Moles/volume] in Serum or Plasma'],
+  Ca: ['17861-6', 'Calcium [Mass/volume] in Serum or Plasma'],
+  Phos: ['2777-1', 'Phosphate [Mass/volume] in Serum or Plasma'],
+  Hgb: ['718-7', 'Hemoglobin [Mass/volume] in Blood'],
+  Glucose: ['2345-7', 'Glucose [Mass/volume] in Serum or Plasma'],
+  Albumin: ['1751-7', 'Albumin [Mass/volume] in Serum or Plasma']
+};
+
+const UCUM_UNITS = {
+  'mEq/L': 'meq/L', 'mmol/L': 'mmol/L', 'mg/dL': 'mg/dL', 'g/dL': 'g/dL', 'kg': 'kg', 'min': 'min',
+  'mL/min': 'mL/min', 'mL/hr': 'mL/h', 'mmHg': 'mm[Hg]', '/min': '/min', '°C': 'Cel'
+};
+
+const LAB_STATUS = { final: 'final', preliminary: 'preliminary', corrected: 'corrected', pending: 'registered' };
+const LAB_INTERPRETATION = { low: 'L', high: 'H', critical_low: 'LL', critical_high: 'HH' };
+
+// Prescription components: flowsheet parameter -> [code, display, unit]
+const PRESCRIPTION_COMPONENTS = {
+  bfr: ['blood-flow-rate', 'Blood flow rate', 'mL/min'],
+  dfr: ['dialysate-flow-rate', 'Dialysate flow rate', 'mL/min'],
+  k: ['dialysate-potassium', 'Dialysate potassium', 'mEq/L'],
+  ca: ['dialysate-calcium', 'Dialysate calcium', 'mEq/L'],
+  na: ['dialysate-sodium', 'Dialysate sodium', 'mEq/L'],
+  bi: ['dialysate-bicarbonate', 'Dialysate bicarbonate', 'mEq/L'],
+  temp: ['dialysate-temperature', 'Dialysate temperature', '°C'],
+  profile: ['sodium-profile', 'Sodium profile', null],
+  arterialNeedleGauge: ['arterial-needle-gauge', 'Arterial needle gauge', null],
+  venousNeedleGauge: ['venous-needle-gauge', 'Venous needle gauge', null]
+};
+
+// Machine readings charted with the vitals (VITALS_COLUMNS in index.html)
+const MACHINE_COMPONENTS = {
+  ap: ['arterial-pressure', 'Arterial pressure', 'mmHg'],
+  vp: ['venous-pressure', 'Venous pressure', 'mmHg'],
+  bfr: ['blood-flow-rate', 'Blood flow rate', 'mL/min'],
+  tmp: ['transmembrane-pressure', 'Transmembrane pressure', 'mmHg'],
+  ufr: ['ultrafiltration-rate', 'Ultrafiltration rate', 'mL/hr']
+};
+
+const FHIR_ID_PATTERN = /^[A-Za-z0-9\-.]{1,64}$/;
+const FHIR_DATETIME_PATTERN = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+const DATETIME_KEYS = new Set(['start', 'end', 'timestamp', 'issued', 'effectiveDateTime', 'performedDateTime']);
+const QUANTITY_KEYS = new Set(['valueQuantity', 'rateQuantity', 'low', 'high']);
+
+function number(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// FHIR JSON never carries empty values (ele-1): drop null, '', [] and {}
+function prune(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(prune).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, prune(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value === null || value === '' ? undefined : value;
+}
+
+function quantity(value, unit) {
+  const amount = number(value);
+  if (amount === null) return null;
+  const code = UCUM_UNITS[unit];
+  return code ? { value: amount, unit, system: UCUM, code } : { value: amount, unit: unit || undefined };
+}
+
+function concept(system, code, display) {
+  return { coding: [{ system, code, display }], text: display };
+}
+
+function category(code) {
+  return [{ coding: [{ system: OBSERVATION_CATEGORY, code }] }];
+}
+
+// Clinic-local (Phoenix, no DST) date + minutes since midnight -> FHIR dateTime
+function phoenixDateTime(date, minutes) {
+  const utc = Date.parse(`${date}T00:00:00-07:00`) + minutes * 60000;
+  return new Date(utc - 7 * 3600000).toISOString().slice(0, 19) + '-07:00';
+}
+
+/**
+ * Build a FHIR R4 collection Bundle from treatments rows (or rows built from
+ * the current flowsheet with buildTreatmentRow(..., { unfinished: true }))
+ * and labs rows.
+ * @param {{treatments: Array, labs: Array}} data
+ * @returns {object} Bundle
+ */
+export function buildFhirBundle({ treatments = [], labs = [] }) {
+  const entries = [];
+  const patients = new Map();
+
+  const add = resource => {
+    const id = randomUUID();
+    entries.push({ fullUrl: `urn:uuid:${id}`, resource: prune({ ...resource, id }) });
+    return { reference: `urn:uuid:${id}` };
+  };
+
+  // One Patient per key; flowsheet patients without a key get one each
+  const patientRef = (key, name) => {
+    if (!patients.has(key)) {
+      patients.set(key, add({
+        resourceType: 'Patient',
+        identifier: key.startsWith('flowsheet:') ? [] : [{ system: PATIENT_KEY_SYSTEM, value: key }],
+        name: [{ text: name }]
+      }));
+    }
+    return patients.get(key);
+  };
+
+  treatments.forEach(row => {
+    const subject = patientRef(row.patient_key || `flowsheet:${row.patient_name}:${row.chair}`, row.patient_name);
+    const date = String(row.treatment_date);
+    const start = clockMinutes(row.start_time);
+    const end = clockMinutes(row.end_time);
+    const startAt = start !== null ? phoenixDateTime(date, start) : null;
+    // Treatments that run past midnight end the next day
+    const endAt = end !== null ? phoenixDateTime(date, start !== null && end < start ? end + 1440 : end) : null;
+    const parameters = row.parameters || {};
+    const notDone = row.outcome === 'missed' || row.outcome === 'hospitalized';
+    const running = !row.outcome && startAt !== null;
+    const timing = { effectiveDateTime: endAt || startAt || date };
+
+    const encounter = add({
+      resourceType: 'Encounter',
+      identifier: row.patient_key ? [{ system: TREATMENT_SYSTEM, value: `${row.patient_key}|${date}|${row.shift}` }] : [],
+      status: notDone ? 'cancelled' : row.outcome === 'completed' ? 'finished' : running ? 'in-progress' : 'planned',
+      class: { system: ACT_CODE, code: 'AMB', display: 'ambulatory' },
+      type: [{ text: 'Outpatient hemodialysis' }],
+      subject,
+      participant: row.technician ? [{ individual: { display: row.technician } }] : [],
+      period: { start: startAt || date, end: endAt },
+      location: row.chair ? [{ location: { display: `Chair ${row.chair}${row.section ? ` (${row.section})` : ''}` } }] : []
+    });
+
+    add({
+      resourceType: 'Procedure',
+      status: notDone ? 'not-done' : row.outcome === 'completed' ? 'completed' : running ? 'in-progress' : 'preparation',
+      statusReason: notDone ? { text: row.outcome === 'missed' ? 'Missed treatment' : 'Patient hospitalized' } : null,
+      code: concept(SNOMED, '302497006', 'Hemodialysis'),
+      subject,
+      encounter,
+      performedPeriod: startAt ? { start: startAt, end: endAt } : null,
+      usedCode: parameters.dialyzer ? [{ text: `Dialyzer ${parameters.dialyzer}` }] : [],
+      note: row.notes ? [{ text: row.notes }] : []
+    });
+
+    if (notDone) return;
+
+    const observation = (code, display, value, unit, effective, loinc) => {
+      const valueQuantity = quantity(value, unit);
+      if (!valueQuantity) return;
+      add({
+        resourceType: 'Observation',
+        status: 'final',
+        category: category(loinc ? 'vital-signs' : 'procedure'),
+        code: {
+          coding: [
+            ...(loinc ? [{ system: LOINC, code: loinc[0], display: loinc[1] }] : []),
+            { system: LOCAL_CODES, code, display }
+          ],
+          text: display
+        },
+        subject,
+        encounter,
+        ...effective,
+        valueQuantity
+      });
+    };
+
+    const bodyWeight = ['29463-7', 'Body weight'];
+    observation('dry-weight', 'Dry weight', row.dry_weight, 'kg', { effectiveDateTime: startAt || date });
+    observation('pre-weight', 'Pre-dialysis weight', row.pre_weight, 'kg', { effectiveDateTime: startAt || date }, bodyWeight);
+    observation('post-weight', 'Post-dialysis weight', row.post_weight, 'kg', { effectiveDateTime: endAt || date }, bodyWeight);
+    observation('goal-uf', 'Ultrafiltration goal', row.goal_uf, 'kg', { effectiveDateTime: startAt || date });
+    observation('actual-uf', 'Ultrafiltration removed', row.actual_uf, 'kg', timing);
+    observation('prescribed-duration', 'Prescribed treatment time', row.rx_minutes, 'min', { effectiveDateTime: startAt || date });
+    observation('treatment-duration', 'Treatment time', row.duration_minutes, 'min', timing);
+
+    // Prescription as run: one Observation with a component per parameter
+    const prescription = Object.entries(PRESCRIPTION_COMPONENTS)
+      .filter(([field]) => parameters[field] !== undefined)
+      .map(([field, [code, display, unit]]) => {
+        const value = unit ? quantity(parameters[field], unit) : null;
+        return {
+          code: { coding: [{ system: LOCAL_CODES, code, display }], text: display },
+          ...(value ? { valueQuantity: value } : { valueString: String(parameters[field]) })
+        };
+      });
+    if (prescription.length > 0) {
+      add({
+        resourceType: 'Observation',
+        status: 'final',
+        category: category('procedure'),
+        code: { coding: [{ system: LOCAL_CODES, code: 'hd-prescription', display: 'Hemodialysis prescription' }], text: 'Hemodialysis prescription' },
+        subject,
+        encounter,
+        effectiveDateTime: startAt || date,
+        component: prescription
+      });
+    }
+
+    (row.vitals || []).forEach(reading => {
+      const minutes = clockMinutes(reading.time);
+      if (minutes === null) return;
+      // Readings before the start time were taken after midnight
+      const at = phoenixDateTime(date, start !== null && minutes < start ? minutes + 1440 : minutes);
+
+      if (number(reading.sbp) !== null && number(reading.dbp) !== null) {
+        add({
+          resourceType: 'Observation',
+          status: 'final',
+          category: category('vital-signs'),
+          code: concept(LOINC, '85354-9', 'Blood pressure panel with all children optional'),
+          subject,
+          encounter,
+          effectiveDateTime: at,
+          component: [
+            { code: concept(LOINC, '8480-6', 'Systolic blood pressure'), valueQuantity: quantity(reading.sbp, 'mmHg') },
+            { code: concept(LOINC, '8462-4', 'Diastolic blood pressure'), valueQuantity: quantity(reading.dbp, 'mmHg') }
+          ],
+          note: reading.note ? [{ text: reading.note }] : []
+        });
+      }
+      if (number(reading.pulse) !== null) {
+        add({
+          resourceType: 'Observation',
+          status: 'final',
+          category: category('vital-signs'),
+          code: concept(LOINC, '8867-4', 'Heart rate'),
+          subject,
+          encounter,
+          effectiveDateTime: at,
+          valueQuantity: quantity(reading.pulse, '/min')
+        });
+      }
+
+      const machine = Object.entries(MACHINE_COMPONENTS)
+        .filter(([field]) => number(reading[field]) !== null)
+        .map(([field, [code, display, unit]]) => ({
+          code: { coding: [{ system: LOCAL_CODES, code, display }], text: display },
+          valueQuantity: quantity(reading[field], unit)
+        }));
+      if (machine.length > 0) {
+        add({
+          resourceType: 'Observation',
+          status: 'final',
+          category: category('procedure'),
+          code: { coding: [{ system: LOCAL_CODES, code: 'hd-machine-readings', display: 'Dialysis machine readings' }], text: 'Dialysis machine readings' },
+          subject,
+          encounter,
+          effectiveDateTime: at,
+          component: machine
+        });
+      }
+    });
+
+    const administration = (text, extra = {}) => add({
+      resourceType: 'MedicationAdministration',
+      status: row.outcome === 'completed' ? 'completed' : 'in-progress',
+      medicationCodeableConcept: { text },
+      subject,
+      context: encounter,
+      ...(startAt ? { effectivePeriod: { start: startAt, end: endAt } } : { effectiveDateTime: date }),
+      ...extra
+    });
+
+    // The dialysate bath is given through the circuit for the whole treatment
+    const bath = [['K', parameters.k], ['Ca', parameters.ca], ['Na', parameters.na], ['Bicarbonate', parameters.bi]]
+      .filter(([, value]) => value !== undefined)
+      .map(([label, value]) => `${label} ${value}`);
+    if (bath.length > 0 && (startAt || row.outcome === 'completed')) {
+      administration(`Dialysate (${bath.join(', ')})`, {
+        dosage: { text: 'Hemodialysis dialysate', rateQuantity: quantity(parameters.dfr, 'mL/min') }
+      });
+    }
+
+    // The flowsheet only records that ordered medications were given; drugs and doses are in the MAR
+    if (row.qa?.medsComplete) {
+      administration('In-center medications as ordered', { note: [{ text: 'Marked given on the flowsheet - see the MAR for drugs and doses' }] });
+    }
+    if (row.qa?.abxIDPN) {
+      administration('Antibiotic / IDPN as ordered', { note: [{ text: 'Marked given on the flowsheet - see the MAR for drugs and doses' }] });
+    }
+  });
+
+  labs.forEach(row => {
+    if (!row.patient_key) return;
+    const loinc = LAB_LOINC[row.analyte];
+    const value = row.value !== null && row.value !== undefined ? quantity(row.value, row.units) : null;
+    const text = row.analyte || 'Lab result';
+
+    add({
+      resourceType: 'Observation',
+      status: LAB_STATUS[row.status] || 'final',
+      category: category('laboratory'),
+      code: loinc
+        ? { coding: [{ system: LOINC, code: loinc[0], display: loinc[1] }], text }
+        : { text },
+      subject: patientRef(row.patient_key, row.patient_name),
+      effectiveDateTime: row.collected_at || row.created_at,
+      issued: row.updated_at || row.created_at,
+      ...(value ? { valueQuantity: value } : row.lab_result ? { valueString: row.lab_result } : {}),
+      interpretation: LAB_INTERPRETATION[row.flag]
+        ? [{ coding: [{ system: INTERPRETATION, code: LAB_INTERPRETATION[row.flag] }], text: row.flag.replace('_', ' ') }]
+        : [],
+      referenceRange: number(row.ref_low) !== null || number(row.ref_high) !== null
+        ? [{ low: quantity(row.ref_low, row.units), high: quantity(row.ref_high, row.units) }]
+        : [],
+      note: value && row.lab_result ? [{ text: row.lab_result }] : []
+    });
+  });
+
+  return {
+    resourceType: 'Bundle',
+    id: randomUUID(),
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: entries
+  };
+}
+
+// R4 cardinality and required bindings for the resources this export writes
+const R4_RULES = {
+  Patient: { required: [], status: null },
+  Encounter: {
+    required: ['status', 'class'],
+    status: ['planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown']
+  },
+  Procedure: {
+    required: ['status', 'subject'],
+    status: ['preparation', 'in-progress', 'not-done', 'on-hold', 'stopped', 'completed', 'entered-in-error', 'unknown']
+  },
+  Observation: {
+    required: ['status', 'code'],
+    status: ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown']
+  },
+  MedicationAdministration: {
+    required: ['status', 'subject', 'medication[x]', 'effective[x]'],
+    status: ['in-progress', 'not-done', 'on-hold', 'completed', 'entered-in-error', 'stopped', 'unknown']
+  }
+};
+
+// Choice elements ([x]) allowed per resource; at most one of each may be present
+const CHOICE_TYPES = {
+  medication: ['medicationCodeableConcept', 'medicationReference'],
+  effective: ['effectiveDateTime', 'effectivePeriod', 'effectiveTiming', 'effectiveInstant'],
+  performed: ['performedDateTime', 'performedPeriod', 'performedString', 'performedAge', 'performedRange'],
+  value: ['valueQuantity', 'valueCodeableConcept', 'valueString', 'valueBoolean', 'valueInteger', 'valueRange',
+    'valueRatio', 'valueSampledData', 'valueTime', 'valueDateTime', 'valuePeriod']
+};
+
+/**
+ * Check a bundle against the R4 structure: bundle shape, resource ids,
+ * required elements and status codes, choice elements, dateTime formats,
+ * quantities, codeable concepts, empty elements and that every reference
+ * resolves inside the bundle.
+ * @param {object} bundle
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateFhirBundle(bundle) {
+  const issues = [];
+
+  if (bundle?.resourceType !== 'Bundle') issues.push('Bundle.resourceType must be "Bundle"');
+  if (!['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'].includes(bundle?.type)) {
+    issues.push('Bundle.type is missing or not a bundle type');
+  }
+  if (!Array.isArray(bundle?.entry)) return [...issues, 'Bundle.entry must be an array'];
+
+  const fullUrls = new Set(bundle.entry.map(entry => entry.fullUrl));
+
+  // Recursive checks that apply to every element
+  const walk = (value, path, key) => {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0) ||
+      (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length === 0)) {
+      issues.push(`${path}: empty element`);
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => walk(item, `${path}[${i}]`, key));
+      return;
+    }
+    if (typeof value === 'object') {
+      if ('reference' in value && !fullUrls.has(value.reference)) {
+        issues.push(`${path}.reference ${value.reference} does not resolve in the bundle`);
+      }
+      if (QUANTITY_KEYS.has(key)) {
+        if (typeof value.value !== 'number' || !Number.isFinite(value.value)) issues.push(`${path}.value must be a number`);
+        if (value.system && !value.code) issues.push(`${path}: a coded quantity needs system and code`);
+      }
+      if (key === 'code' || key === 'class') {
+        const codings = key === 'class' ? [value] : value.coding;
+        if (key === 'code' && !value.text && !Array.isArray(codings)) issues.push(`${path}: CodeableConcept needs coding or text`);
+        (codings || []).forEach((coding, i) => {
+          if (!coding.system || !coding.code) issues.push(`${path}.coding[${i}]: system and code required`);
+        });
+      }
+      Object.entries(value).forEach(([childKey, child]) => walk(child, `${path}.${childKey}`, childKey));
+      return;
+    }
+    if (DATETIME_KEYS.has(key) && !FHIR_DATETIME_PATTERN.test(String(value))) {
+      issues.push(`${path}: "${value}" is not a FHIR dateTime`);
+    }
+  };
+
+  bundle.entry.forEach((entry, index) => {
+    const resource = entry.resource;
+    const path = `Bundle.entry[${index}]`;
+    if (!/^urn:uuid:[0-9a-f-]{36}$/.test(entry.fullUrl || '')) issues.push(`${path}.fullUrl must be a urn:uuid`);
+
+    const rules = R4_RULES[resource?.resourceType];
+    if (!rules) {
+      issues.push(`${path}: unexpected resourceType ${resource?.resourceType}`);
+      return;
+    }
+    const name = `${path}.resource(${resource.resourceType})`;
+    if (!FHIR_ID_PATTERN.test(resource.id || '')) issues.push(`${name}.id is not a valid id`);
+
+    rules.required.forEach(element => {
+      const present = element.endsWith('[x]')
+        ? CHOICE_TYPES[element.slice(0, -3)].some(choice => resource[choice] !== undefined)
+        : resource[element] !== undefined;
+      if (!present) issues.push(`${name}.${element} is required`);
+    });
+    if (rules.status && resource.status !== undefined && !rules.status.includes(resource.status)) {
+      issues.push(`${name}.status "${resource.status}" is not in the R4 value set`);
+    }
+    Object.entries(CHOICE_TYPES).forEach(([element, choices]) => {
+      if (choices.filter(choice => resource[choice] !== undefined).length > 1) {
+        issues.push(`${name}: only one ${element}[x] is allowed`);
+      }
+    });
+
+    walk(resource, name, null);
+  });
+
+  return issues;
+}
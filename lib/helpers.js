@@ -0,0 +1,58 @@
+// Small helpers shared by the API routes and lib modules. The clinic runs on
+// Phoenix time (no DST), so calendar dates are always Phoenix dates.
+
+// Rows per request when paging - PostgREST caps a single response
+const PAGE_SIZE = 1000;
+
+// YYYY-MM-DD query parameters and treatment dates
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// User ids and other UUID keys sent by the client
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Phoenix calendar date of a moment
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+export function isoDate(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/Phoenix' });
+}
+
+/**
+ * Percentage to one decimal, or null when there is nothing to divide by
+ * @param {number} count
+ * @param {number} total
+ * @returns {number|null}
+ */
+export function percent(count, total) {
+  return total > 0 ? Math.round(count / total * 1000) / 10 : null;
+}
+
+/**
+ * Charted clock time ("0800" / "08:00") -> minutes since midnight
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function clockMinutes(value) {
+  if (!value) return null;
+  const digits = String(value).replace(':', '').padStart(4, '0');
+  return /^\d{4}$/.test(digits) ? parseInt(digits.slice(0, 2), 10) * 60 + parseInt(digits.slice(2), 10) : null;
+}
+
+/**
+ * Page through a query until every row is read
+ * @param {function(): object} buildQuery - Returns a fresh Supabase query
+ *   (filters and order applied, no range)
+ * @returns {Promise<Array>}
+ */
+export async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
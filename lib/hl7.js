@@ -0,0 +1,279 @@
+import { findAnalyte } from './labs.js';
+import { hashImportKey, hashNameDobKey, legacyImportKey, normalizeBirthDate } from './importKey.js';
+
+// OBX-11 result status -> labs.status. Other codes (X cannot obtain, D delete,
+// W wrong patient, N not asked) carry no result and are reported instead.
+const OBX_STATUSES = { F: 'final', C: 'corrected', P: 'preliminary', R: 'preliminary', I: 'pending', S: 'pending' };
+
+const TIMESTAMP_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})?(\d{2})?)?(?:\.\d+)?([+-]\d{4})?$/;
+const MAX_MESSAGES = 50;
+
+// HL7 DTM -> ISO string. Without an offset the time is clinic-local (Phoenix).
+function parseTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(value || '');
+  if (!match) return null;
+  const [, y, mo, d, h = '00', mi = '00', s = '00', offset] = match;
+  const zone = offset ? `${offset.slice(0, 3)}:${offset.slice(3)}` : '-07:00';
+  const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${zone}`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Reference range "3.5-5.0", "<5.0" or ">3.5"
+function parseReferenceRange(value) {
+  const text = String(value || '').trim();
+  let match = /^(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)$/.exec(text);
+  if (match) return { refLow: Number(match[1]), refHigh: Number(match[2]) };
+  match = /^<=?\s*(-?\d+(?:\.\d+)?)$/.exec(text);
+  if (match) return { refLow: null, refHigh: Number(match[1]) };
+  match = /^>=?\s*(-?\d+(?:\.\d+)?)$/.exec(text);
+  if (match) return { refLow: Number(match[1]), refHigh: null };
+  return { refLow: null, refHigh: null };
+}
+
+/**
+ * Split raw text into segments of fields, components and repetitions using
+ * the delimiters declared in MSH-1/MSH-2.
+ */
+function createReader(msh) {
+  const field = msh[3];
+  const [component = '^', repetition = '~', escape = '\\', subcomponent = '&'] = msh.slice(4, 8);
+
+  const unescape = text => text.replace(new RegExp(`\\${escape}([FSTRE])\\${escape}`, 'g'), (_, code) => (
+    { F: field, S: component, T: subcomponent, R: repetition, E: escape }[code]
+  ));
+
+  return {
+    // Fields numbered as in the spec: MSH-1 is the separator itself
+    fields(line) {
+      const parts = line.split(field);
+      return line.startsWith('MSH') ? ['MSH', field, ...parts.slice(1)] : parts;
+    },
+    components: value => String(value || '').split(repetition)[0].split(component).map(unescape),
+    text: value => unescape(String(value || ''))
+  };
+}
+
+function parseMessage(lines, ranges) {
+  const reader = createReader(lines[0]);
+  const message = {
+    controlId: null,
+    sendingFacility: null,
+    patient: null,
+    results: [],
+    errors: [],
+    raw: lines.join('\r')
+  };
+  const error = (segment, line, text) => message.errors.push({ segment, line, error: text });
+
+  let order = null;
+  let lastResult = null;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const fields = reader.fields(line);
+    const segment = fields[0];
+
+    if (segment === 'MSH') {
+      const type = reader.components(fields[9]);
+      if (type[0] !== 'ORU' || (type[1] && type[1] !== 'R01')) {
+        error('MSH', lineNumber, `MSH-9 is ${type.filter(Boolean).join('^') || 'empty'} - only ORU^R01 result messages are accepted`);
+      }
+      message.sendingFacility = reader.components(fields[4])[0] || null;
+      message.controlId = reader.text(fields[10]).trim() || null;
+      return;
+    }
+
+    if (segment === 'PID') {
+      const identifier = reader.components(fields[3])[0].trim();
+      const [last = '', first = ''] = reader.components(fields[5]).map(part => part.trim());
+      if (!identifier && !last) {
+        error('PID', lineNumber, 'PID-3 (patient identifier) and PID-5 (name) are both empty');
+        return;
+      }
+      message.patient = {
+        id: identifier || null,
+        last,
+        first,
+        name: [last, first].filter(Boolean).join(', '),
+        birthDate: reader.text(fields[7]).slice(0, 8) || null
+      };
+      return;
+    }
+
+    if (segment === 'OBR') {
+      const service = reader.components(fields[4]);
+      order = {
+        code: service[0].trim(),
+        name: (service[1] || service[0]).trim(),
+        collectedAt: parseTimestamp(reader.text(fields[7]))
+      };
+      return;
+    }
+
+    if (segment === 'OBX') {
+      lastResult = null;
+      if (!order) {
+        error('OBX', lineNumber, 'OBX before any OBR - result has no order');
+        return;
+      }
+
+      const valueType = reader.text(fields[2]).trim();
+      const identifier = reader.components(fields[3]);
+      const code = identifier[0].trim();
+      const text = (identifier[1] || '').trim();
+      const statusCode = reader.text(fields[11]).trim() || 'F';
+      const status = OBX_STATUSES[statusCode];
+      if (!code && !text) {
+        error('OBX', lineNumber, 'OBX-3 (observation identifier) is empty');
+        return;
+      }
+      if (!status) {
+        error('OBX', lineNumber, `${code || text}: OBX-11 status "${statusCode}" has no result`);
+        return;
+      }
+
+      // Numeric (NM) and structured numeric (SN, e.g. "^5.2") values; anything
+      // else is kept as a text result
+      let value = null;
+      let resultText = '';
+      const raw = reader.text(fields[5]).trim();
+      if (valueType === 'NM' || valueType === 'SN') {
+        const [comparator, number] = valueType === 'SN' ? reader.components(fields[5]) : ['', raw];
+        if (raw && !Number.isFinite(Number(number))) {
+          error('OBX', lineNumber, `${code || text}: OBX-5 "${raw}" is not a number`);
+          return;
+        }
+        if (comparator && comparator !== '=') {
+          resultText = `${comparator}${number}`;
+        } else if (raw) {
+          value = Number(number);
+        }
+      } else {
+        resultText = raw;
+      }
+
+      const configured = findAnalyte(ranges, code) || findAnalyte(ranges, text);
+      const range = parseReferenceRange(reader.text(fields[7]));
+      lastResult = {
+        analyte: configured ? configured.key : (text || code).slice(0, 40),
+        code,
+        text,
+        value,
+        units: reader.components(fields[6])[0].trim(),
+        ...range,
+        status: value === null && !resultText ? 'pending' : status,
+        abnormal: reader.text(fields[8]).trim() || null,
+        collectedAt: parseTimestamp(reader.text(fields[14])) || order.collectedAt,
+        orderCode: order.code,
+        orderName: order.name,
+        labResult: resultText
+      };
+      message.results.push(lastResult);
+      return;
+    }
+
+    // Comments on a result are appended to its text
+    if (segment === 'NTE' && lastResult) {
+      const comment = reader.text(fields[3]).trim();
+      if (comment) lastResult.labResult = [lastResult.labResult, comment].filter(Boolean).join(' - ');
+      return;
+    }
+
+    // PV1, ORC, NTE on orders, SFT, etc. carry nothing we store
+    if (!/^[A-Z][A-Z0-9]{2}$/.test(segment)) {
+      error(segment || '?', lineNumber, 'Not an HL7 segment');
+    }
+  });
+
+  if (!message.patient && !message.errors.some(e => e.segment === 'PID')) {
+    error('PID', null, 'Message has no PID segment');
+  }
+  if (message.results.length === 0 && !message.errors.some(e => e.segment === 'OBX')) {
+    error('OBX', null, 'Message has no OBX results');
+  }
+
+  return message;
+}
+
+/**
+ * Parse one or more HL7 v2 ORU^R01 messages (segments separated by CR or
+ * newlines, each message starting with MSH).
+ * @param {string} text - Raw HL7
+ * @param {object} ranges - Clinic lab ranges, to map OBX-3 codes to analytes
+ * @returns {{messages: Array<{controlId, sendingFacility, patient, results, errors, raw}>, errors: Array}}
+ */
+export function parseHL7(text, ranges) {
+  const lines = String(text || '')
+    .split(/\r\n|\r|\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const messages = [];
+  const errors = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    if (line.startsWith('MSH') && line.length > 8) {
+      current = [line];
+      messages.push(current);
+    } else if (current) {
+      current.push(line);
+    } else {
+      errors.push({ segment: line.slice(0, 3), line: index + 1, error: 'Segment before the first MSH' });
+    }
+  });
+
+  if (messages.length > MAX_MESSAGES) {
+    return { messages: [], errors: [{ segment: 'MSH', line: null, error: `At most ${MAX_MESSAGES} messages per request` }] };
+  }
+
+  return { messages: messages.map(message => parseMessage(message, ranges)), errors };
+}
+
+/**
+ * Find the flowsheet patient an HL7 message is about: by PID-3 identifier
+ * against patient.importKey (the salted census Match Key, or the legacy key
+ * of a patient not re-keyed yet), or by name only together with the PID-7
+ * date of birth against patient.nameDobKey (lib/importKey.js). A name alone
+ * is never enough - two patients can share one - so without a matching date
+ * of birth the message goes to the review queue. A key shared by more than
+ * one patient is not a match.
+ * @param {Array} patients - Flowsheet patients
+ * @param {object} hl7Patient - Parsed PID {id, last, first, birthDate}
+ * @param {string} salt - The clinic's import_key_salt
+ * @returns {Promise<object|null>}
+ */
+export async function findFlowsheetPatient(patients, hl7Patient, salt) {
+  if (!hl7Patient) return null;
+
+  const { id, last, first } = hl7Patient;
+  const uniqueMatch = (field, keys) => {
+    const matches = (patients || []).filter(p => keys.includes(p[field]));
+    return matches.length === 1 ? matches[0] : null;
+  };
+
+  if (id) {
+    const patient = uniqueMatch('importKey', [await hashImportKey(id, salt), legacyImportKey(id)]);
+    if (patient) return patient;
+  }
+
+  const birthDate = normalizeBirthDate(hl7Patient.birthDate);
+  if (!birthDate || !last || !first) return null;
+
+  const names = [`${last}, ${first}`, `${first} ${last}`, `${last} ${first}`];
+  const keys = await Promise.all(names.map(name => hashNameDobKey(name, birthDate, salt)));
+  return uniqueMatch('nameDobKey', keys);
+}
+
+/**
+ * Whether a parsed result answers one of the patient's STAT Labs items: the
+ * same analyte, or the order (OBR-4 code or name) named in the item.
+ */
+export function resultMatchesLabItem(lab, result) {
+  if (lab.analyte) return lab.analyte === result.analyte;
+
+  const name = String(lab.name || '').toLowerCase();
+  return [result.orderCode, result.orderName]
+    .filter(term => term && term.length >= 2)
+    .some(term => new RegExp(`(^|[^a-z0-9])${term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`).test(name));
+}
@@ -0,0 +1,128 @@
+// patient.importKey - the stable identity of a flowsheet patient across shifts
+// (treatments, labs, audit trail, HL7 matching, FHIR export). It is a salted
+// SHA-256 of the census Match Key (MRN) or full name, so neither is stored.
+// The salt is per clinic (clinics.import_key_salt, v21), so a key can't be
+// brute-forced with a table built for another clinic.
+//
+// This module has no dependencies: index.html loads it as /lib/importKey.js
+// and the API routes import it, so both sides hash the same way.
+
+/**
+ * Lower-case, trim and collapse whitespace, so "DOE,  Jane " and "doe, jane" match
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeImportKeyText(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Web Crypto in the browser and Node 19+, node:crypto's copy before that
+async function getSubtleCrypto() {
+  if (globalThis.crypto?.subtle) return globalThis.crypto.subtle;
+  const { webcrypto } = await import('crypto');
+  return webcrypto.subtle;
+}
+
+/**
+ * patient.importKey for a census Match Key or name
+ * @param {string} text - Match Key (MRN / ID) or full name
+ * @param {string} salt - The clinic's import_key_salt
+ * @returns {Promise<string>} 'h' + 64 hex digits
+ */
+export async function hashImportKey(text, salt) {
+  if (typeof salt !== 'string') throw new Error('Clinic import key salt is not loaded');
+
+  const subtle = await getSubtleCrypto();
+  const bytes = new TextEncoder().encode(`${salt}:${normalizeImportKeyText(text)}`);
+  const digest = new Uint8Array(await subtle.digest('SHA-256', bytes));
+  return 'h' + Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * A date of birth as YYYY-MM-DD, or null if it isn't one. Accepts
+ * YYYY-MM-DD, M/D/YYYY, HL7 YYYYMMDD and Excel date serials.
+ * @param {*} value
+ * @returns {string|null}
+ */
+export function normalizeBirthDate(value) {
+  let parts = null;
+  if (typeof value === 'number' && value > 0) {
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 86400000); // Excel day 0
+    parts = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  } else {
+    const text = String(value ?? '').trim();
+    const iso = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(text);
+    const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+    if (iso) parts = [+iso[1], +iso[2], +iso[3]];
+    else if (us) parts = [+us[3], +us[1], +us[2]];
+  }
+  if (!parts) return null;
+
+  // Rejects dates that don't exist (02/30) and years outside a lifetime
+  const [year, month, day] = parts;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (year < 1900 || date > new Date() || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * patient.nameDobKey - full name and date of birth, salted and hashed like
+ * importKey. HL7 results are only matched on a name when the date of birth
+ * matches too.
+ * @param {string} name - Full name
+ * @param {string} birthDate - YYYY-MM-DD
+ * @param {string} salt - The clinic's import_key_salt
+ * @returns {Promise<string>}
+ */
+export function hashNameDobKey(name, birthDate, salt) {
+  return hashImportKey(`${name}|${birthDate}`, salt);
+}
+
+/**
+ * The unsalted 32-bit FNV-1a key patients were given before v21 ('k' + hex).
+ * Only used to recognise those patients so they can be re-keyed - never to
+ * key a new one.
+ * @param {string} text
+ * @returns {string}
+ */
+export function legacyImportKey(text) {
+  let hash = 0x811c9dc5;
+  const normalized = normalizeImportKeyText(text);
+  for (let i = 0; i < normalized.length; i++) {
+    hash ^= normalized.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return 'k' + (hash >>> 0).toString(16);
+}
+
+/**
+ * Whether a key is a pre-v21 legacy key
+ * @param {*} key
+ * @returns {boolean}
+ */
+export function isLegacyImportKey(key) {
+  return /^k[0-9a-f]{1,8}$/.test(String(key || ''));
+}
+
+/**
+ * Patients a flowsheet save moved from a legacy key to a salted one (a merge
+ * import matched them on their old key, or an ID was entered for them), so
+ * their treatments, labs and audit history can follow.
+ * @param {object|null} previousData - Stored document before the save
+ * @param {object} newData - Document that was saved
+ * @returns {Array<{from: string, to: string}>}
+ */
+export function getImportKeyChanges(previousData, newData) {
+  const previous = new Map((previousData?.patients || []).map(p => [String(p.id), p]));
+  const changes = new Map();
+
+  (newData?.patients || []).forEach(patient => {
+    const before = previous.get(String(patient.id));
+    // Same patient only - flowsheet ids are reused after a reset
+    if (!before || before.name !== patient.name) return;
+    if (!isLegacyImportKey(before.importKey) || !patient.importKey || isLegacyImportKey(patient.importKey)) return;
+    changes.set(before.importKey, String(patient.importKey));
+  });
+
+  return Array.from(changes, ([from, to]) => ({ from, to }));
+}
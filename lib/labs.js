@@ -0,0 +1,236 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+export const LAB_STATUSES = ['pending', 'preliminary', 'final', 'corrected'];
+
+// Used until the clinic saves its own ranges (same list as DEFAULT_LAB_RANGES in index.html)
+export const DEFAULT_LAB_RANGES = {
+  analytes: [
+    { key: 'K', name: 'Potassium', units: 'mEq/L', refLow: 3.5, refHigh: 5.0, criticalLow: 3.0, criticalHigh: 6.0 },
+    { key: 'Na', name: 'Sodium', units: 'mEq/L', refLow: 135, refHigh: 145, criticalLow: 120, criticalHigh: 160 },
+    { key: 'Ca', name: 'Calcium', units: 'mg/dL', refLow: 8.4, refHigh: 10.2, criticalLow: 6.5, criticalHigh: 13.0 },
+    { key: 'Phos', name: 'Phosphorus', units: 'mg/dL', refLow: 3.5, refHigh: 5.5, criticalLow: 1.0, criticalHigh: 9.0 },
+    { key: 'Hgb', name: 'Hemoglobin', units: 'g/dL', refLow: 10.0, refHigh: 12.0, criticalLow: 7.0, criticalHigh: 18.0 },
+    { key: 'Glucose', name: 'Glucose', units: 'mg/dL', refLow: 70, refHigh: 180, criticalLow: 50, criticalHigh: 400 },
+    { key: 'Albumin', name: 'Albumin', units: 'g/dL', refLow: 3.5, refHigh: 5.0, criticalLow: null, criticalHigh: null }
+  ]
+};
+
+const ANALYTE_KEY_PATTERN = /^[A-Za-z0-9_+-]{1,16}$/;
+const MAX_ANALYTES = 60;
+const RANGE_FIELDS = ['refLow', 'refHigh', 'criticalLow', 'criticalHigh'];
+
+function toNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+/**
+ * Validate and normalize a lab range document posted by the settings editor.
+ * @param {object} config - { analytes: [{key, name, units, refLow, refHigh, criticalLow, criticalHigh}] }
+ * @returns {{config?: object, error?: string}}
+ */
+export function normalizeLabRanges(config) {
+  if (!config || typeof config !== 'object') {
+    return { error: 'config object required' };
+  }
+
+  const { analytes } = config;
+  if (!Array.isArray(analytes) || analytes.length > MAX_ANALYTES) {
+    return { error: `analytes must be an array of at most ${MAX_ANALYTES} entries` };
+  }
+
+  const keys = new Set();
+  const normalized = [];
+  for (const analyte of analytes) {
+    const key = String(analyte?.key || '').trim();
+    if (!ANALYTE_KEY_PATTERN.test(key)) {
+      return { error: `Invalid analyte key "${key}" (letters, numbers, +, - and _ only)` };
+    }
+    if (keys.has(key.toLowerCase())) {
+      return { error: `Duplicate analyte key "${key}"` };
+    }
+    keys.add(key.toLowerCase());
+
+    const range = {};
+    for (const field of RANGE_FIELDS) {
+      const value = toNumber(analyte[field]);
+      if (Number.isNaN(value)) {
+        return { error: `${key}: ${field} must be a number or empty` };
+      }
+      range[field] = value;
+    }
+    if (range.criticalLow !== null && range.criticalHigh !== null && range.criticalLow >= range.criticalHigh) {
+      return { error: `${key}: the critical low limit must be below the critical high limit` };
+    }
+
+    normalized.push({
+      key,
+      name: String(analyte.name || key).trim().slice(0, 60),
+      units: String(analyte.units || '').trim().slice(0, 20),
+      ...range
+    });
+  }
+
+  return { config: { analytes: normalized } };
+}
+
+// Clinic ranges, or the defaults when none are saved
+export async function getLabRanges(clinicId) {
+  const { data, error } = await supabase
+    .from('app_data')
+    .select('data')
+    .eq('type', 'lab_ranges')
+    .eq('clinic_id', clinicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.data?.analytes ? data.data : DEFAULT_LAB_RANGES;
+}
+
+export function findAnalyte(ranges, analyte) {
+  if (!analyte) return null;
+  const wanted = String(analyte).trim().toLowerCase();
+  return (ranges?.analytes || []).find(a => a.key.toLowerCase() === wanted || a.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Flag a numeric result against its reference and critical ranges.
+ * Mirrors getLabFlag() in index.html.
+ * @param {number|null} value
+ * @param {object} range - {refLow, refHigh, criticalLow, criticalHigh}
+ * @returns {'critical_low'|'critical_high'|'low'|'high'|null}
+ */
+export function flagLabValue(value, range) {
+  if (value === null || value === undefined || !Number.isFinite(value) || !range) return null;
+  if (range.criticalLow !== null && range.criticalLow !== undefined && value < range.criticalLow) return 'critical_low';
+  if (range.criticalHigh !== null && range.criticalHigh !== undefined && value > range.criticalHigh) return 'critical_high';
+  if (range.refLow !== null && range.refLow !== undefined && value < range.refLow) return 'low';
+  if (range.refHigh !== null && range.refHigh !== undefined && value > range.refHigh) return 'high';
+  return null;
+}
+
+/**
+ * Turn a lab entry from the app into a labs row. Units and reference range
+ * default to the clinic's analyte settings; the flag is always recomputed.
+ * @param {object} entry - {clientId, patientName, patientKey, analyte, value, units, refLow, refHigh, collectedAt, status, labResult, dateTime, timestamp, sourcePatientId, sourceLabId}
+ * @param {object} ranges - Clinic lab ranges
+ * @returns {{row?: object, error?: string}}
+ */
+export function buildLabRow(entry, ranges) {
+  if (!entry || typeof entry !== 'object') {
+    return { error: 'entry object required' };
+  }
+
+  const patientName = String(entry.patientName || '').trim();
+  if (!patientName) {
+    return { error: 'patientName required' };
+  }
+
+  const value = toNumber(entry.value);
+  if (Number.isNaN(value)) {
+    return { error: 'value must be a number' };
+  }
+  const labResult = String(entry.labResult || '').trim();
+  if (value === null && !labResult && !entry.analyte) {
+    return { error: 'Enter a result value or a result note' };
+  }
+
+  const status = entry.status || (value === null ? 'pending' : 'final');
+  if (!LAB_STATUSES.includes(status)) {
+    return { error: `status must be ${LAB_STATUSES.join(', ')}` };
+  }
+
+  const collectedAt = entry.collectedAt ? new Date(entry.collectedAt) : null;
+  if (collectedAt && Number.isNaN(collectedAt.getTime())) {
+    return { error: 'collectedAt must be a date/time' };
+  }
+
+  const configured = findAnalyte(ranges, entry.analyte);
+  const range = {};
+  for (const field of ['refLow', 'refHigh']) {
+    const given = toNumber(entry[field]);
+    if (Number.isNaN(given)) {
+      return { error: `${field} must be a number` };
+    }
+    range[field] = given ?? configured?.[field] ?? null;
+  }
+
+  const row = {
+    // The app's id for the entry; the database assigns labs.id
+    client_id: entry.clientId !== undefined && entry.clientId !== null ? String(entry.clientId).slice(0, 64) : null,
+    patient_name: patientName,
+    patient_key: entry.patientKey ? String(entry.patientKey) : null,
+    analyte: configured ? configured.key : (entry.analyte ? String(entry.analyte).trim().slice(0, 40) : null),
+    value,
+    units: String(entry.units || configured?.units || '').trim() || null,
+    ref_low: range.refLow,
+    ref_high: range.refHigh,
+    collected_at: collectedAt ? collectedAt.toISOString() : null,
+    status,
+    // Critical limits are clinic policy - only configured analytes can be critical
+    flag: flagLabValue(value, {
+      ...range,
+      criticalLow: configured?.criticalLow ?? null,
+      criticalHigh: configured?.criticalHigh ?? null
+    }),
+    lab_result: labResult,
+    date_time: String(entry.dateTime || ''),
+    source_patient_id: Number.isInteger(entry.sourcePatientId) ? entry.sourcePatientId : null,
+    source_lab_id: Number.isInteger(entry.sourceLabId) ? entry.sourceLabId : null,
+    updated_at: new Date().toISOString()
+  };
+
+  row.created_at = entry.timestamp || new Date().toISOString();
+
+  return { row };
+}
+
+/**
+ * Status for an update that didn't set one. A new value is a new result: a
+ * pending entry that gets one is final and a changed final one is corrected,
+ * and a cleared value is pending again - so the status (and the flag computed
+ * with it) always describe the value stored.
+ * @param {object} stored - The entry before the update
+ * @param {object} changes - Fields the update sets
+ * @returns {string}
+ */
+export function updatedLabStatus(stored, changes) {
+  if (changes.status) return changes.status;
+  if (!('value' in changes)) return stored.status;
+
+  const value = toNumber(changes.value);
+  if (value === stored.value || Number.isNaN(value)) return stored.status;
+  if (value === null) return 'pending';
+  if (stored.status === 'final' || stored.status === 'corrected') return 'corrected';
+  return stored.status === 'preliminary' ? 'preliminary' : 'final';
+}
+
+// labs row -> lab entry as the app stores it
+export function toLabEntry(row) {
+  const number = value => (value === null || value === undefined ? null : Number(value));
+  return {
+    id: row.id,
+    clientId: row.client_id || null,
+    patientName: row.patient_name,
+    patientKey: row.patient_key || null,
+    analyte: row.analyte || null,
+    value: number(row.value),
+    units: row.units || '',
+    refLow: number(row.ref_low),
+    refHigh: number(row.ref_high),
+    collectedAt: row.collected_at || null,
+    status: row.status || 'final',
+    flag: row.flag || null,
+    labResult: row.lab_result || '',
+    dateTime: row.date_time,
+    timestamp: row.created_at,
+    updatedAt: row.updated_at || null,
+    sourcePatientId: row.source_patient_id ?? undefined,
+    sourceLabId: row.source_lab_id ?? undefined
+  };
+}
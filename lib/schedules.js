@@ -0,0 +1,164 @@
+// Checklist recurrence. A schedule is stored on a checklist (and optionally
+// overridden per item):
+//   { frequency: 'daily' | 'shift' | 'weekly' | 'monthly',
+//     dueTime: 'HH:MM' | '',   daily/weekly/monthly - clock time it is due
+//     dueAfter: minutes,       shift - due this long after the shift starts
+//     days: [0-6],             weekly - weekdays (0 = Sunday)
+//     dayOfMonth: 1-31 }       monthly - clamped to the month's last day
+// No schedule means the original behaviour: daily, no due time.
+//
+// Mirrors getChecklistPeriod() in index.html - a period is identified by the
+// date it starts on plus, for per-shift schedules, the shift key.
+
+export const FREQUENCIES = ['daily', 'shift', 'weekly', 'monthly'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Arizona does not observe DST, so the clinic is always UTC-7
+const PHOENIX_OFFSET_MS = -7 * 60 * 60 * 1000;
+
+function minutesOf(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function addDays(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Clinic-local date + minutes past midnight -> epoch ms
+function toInstant(isoDate, minutes) {
+  return Date.parse(`${isoDate}T00:00:00-07:00`) + minutes * 60 * 1000;
+}
+
+function monthlyOccurrence(year, month, dayOfMonth) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(dayOfMonth, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Clean a client-supplied schedule; anything unusable becomes null (daily).
+ * @param {object} schedule
+ * @returns {object|null}
+ */
+export function normalizeSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || !FREQUENCIES.includes(schedule.frequency)) {
+    return null;
+  }
+
+  const dueTime = TIME_PATTERN.test(schedule.dueTime || '') ? schedule.dueTime : '';
+  switch (schedule.frequency) {
+    case 'shift': {
+      const dueAfter = Number(schedule.dueAfter);
+      return { frequency: 'shift', dueAfter: Number.isInteger(dueAfter) && dueAfter >= 0 && dueAfter <= 720 ? dueAfter : 0 };
+    }
+    case 'weekly': {
+      const days = [...new Set((Array.isArray(schedule.days) ? schedule.days : [])
+        .map(Number)
+        .filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort((a, b) => a - b);
+      return { frequency: 'weekly', dueTime, days: days.length > 0 ? days : [1] };
+    }
+    case 'monthly': {
+      const dayOfMonth = Number(schedule.dayOfMonth);
+      return { frequency: 'monthly', dueTime, dayOfMonth: Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31 ? dayOfMonth : 1 };
+    }
+    default:
+      return { frequency: 'daily', dueTime };
+  }
+}
+
+/**
+ * The period a schedule is in at `now`.
+ * @param {object|null} schedule - Normalized schedule (null = daily)
+ * @param {Array<{key, start}>} shifts - Floor config shifts; only shifts with a start time count
+ * @param {Date} [now]
+ * @returns {{date: string, shift: string, dueAt: number|null, endsAt: number}}
+ *   date is the clinic-local day the period starts (YYYY-MM-DD), shift is ''
+ *   unless the schedule is per shift; dueAt/endsAt are epoch ms
+ */
+export function getSchedulePeriod(schedule, shifts, now = new Date()) {
+  const local = new Date(now.getTime() + PHOENIX_OFFSET_MS);
+  const today = local.toISOString().slice(0, 10);
+  const frequency = schedule?.frequency || 'daily';
+  const dueOn = date => (schedule?.dueTime ? toInstant(date, minutesOf(schedule.dueTime)) : null);
+
+  if (frequency === 'shift') {
+    const timed = (shifts || []).filter(s => TIME_PATTERN.test(s.start || ''));
+    if (timed.length > 0) {
+      // Shift starts from yesterday to tomorrow; the period is the last one that has begun
+      const starts = [-1, 0, 1]
+        .flatMap(offset => timed.map(s => {
+          const date = addDays(today, offset);
+          return { date, shift: s.key, at: toInstant(date, minutesOf(s.start)) };
+        }))
+        .sort((a, b) => a.at - b.at);
+      const index = starts.reduce((found, start, i) => (start.at <= now.getTime() ? i : found), 0);
+      const current = starts[index];
+      return {
+        date: current.date,
+        shift: current.shift,
+        dueAt: current.at + (schedule.dueAfter || 0) * 60 * 1000,
+        endsAt: starts[index + 1]?.at ?? current.at + DAY_MS
+      };
+    }
+    // No shift times configured - a shift schedule falls back to once a day
+  }
+
+  if (frequency === 'weekly') {
+    const weekday = local.getUTCDay();
+    const back = [0, 1, 2, 3, 4, 5, 6].find(d => schedule.days.includes((weekday - d + 7) % 7));
+    const ahead = [1, 2, 3, 4, 5, 6, 7].find(d => schedule.days.includes((weekday + d) % 7));
+    const date = addDays(today, -back);
+    return { date, shift: '', dueAt: dueOn(date), endsAt: toInstant(addDays(today, ahead), 0) };
+  }
+
+  if (frequency === 'monthly') {
+    const year = local.getUTCFullYear();
+    const month = local.getUTCMonth();
+    let date = monthlyOccurrence(year, month, schedule.dayOfMonth);
+    let next = monthlyOccurrence(year, month + 1, schedule.dayOfMonth);
+    if (date > today) {
+      next = date;
+      date = monthlyOccurrence(year, month - 1, schedule.dayOfMonth);
+    }
+    return { date, shift: '', dueAt: dueOn(date), endsAt: toInstant(next, 0) };
+  }
+
+  return { date: today, shift: '', dueAt: dueOn(today), endsAt: toInstant(addDays(today, 1), 0) };
+}
+
+/**
+ * Every period a schedule was due in from one date to another (inclusive),
+ * for compliance figures. Periods that have not started by `now` are left out.
+ * @param {object|null} schedule - Normalized schedule (null = daily)
+ * @param {Array<{key, start}>} shifts - Floor config shifts
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {Array<{date: string, shift: string}>}
+ */
+export function listSchedulePeriods(schedule, shifts, from, to, now = new Date()) {
+  const frequency = schedule?.frequency || 'daily';
+  const timed = (shifts || []).filter(s => TIME_PATTERN.test(s.start || ''));
+  const periods = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (toInstant(date, 0) > now.getTime()) break;
+    const day = new Date(`${date}T00:00:00Z`);
+
+    if (frequency === 'shift' && timed.length > 0) {
+      timed
+        .filter(s => toInstant(date, minutesOf(s.start)) <= now.getTime())
+        .forEach(s => periods.push({ date, shift: s.key }));
+    } else if (frequency === 'weekly') {
+      if (schedule.days.includes(day.getUTCDay())) periods.push({ date, shift: '' });
+    } else if (frequency === 'monthly') {
+      if (date === monthlyOccurrence(day.getUTCFullYear(), day.getUTCMonth(), schedule.dayOfMonth)) {
+        periods.push({ date, shift: '' });
+      }
+    } else {
+      periods.push({ date, shift: '' });
+    }
+  }
+  return periods;
+}
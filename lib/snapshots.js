@@ -0,0 +1,147 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Retention per clinic and type
+export const SNAPSHOT_MAX_COUNT = 50;
+export const SNAPSHOT_MAX_AGE_DAYS = 30;
+
+// Autosave runs every few seconds - keep at most one automatic snapshot per interval
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+function isEmptyDocument(data) {
+  return !data || (typeof data === 'object' && Object.keys(data).length === 0);
+}
+
+/**
+ * Snapshot an app_data document before it is overwritten.
+ * Automatic ('save') snapshots are throttled; any other reason always snapshots.
+ * @param {string} clinicId - The active clinic
+ * @param {string} userId - The user whose save replaced the document
+ * @param {string} type - app_data type (flowsheet, snippets, ...)
+ * @param {object|null} data - The document being replaced
+ * @param {object} [options]
+ * @param {number|null} [options.revision] - Revision of the document being replaced
+ * @param {string} [options.reason] - Why the snapshot was taken
+ * @returns {Promise<boolean>} Whether a snapshot was written
+ */
+export async function snapshotAppData(clinicId, userId, type, data, { revision = null, reason = 'save' } = {}) {
+  if (isEmptyDocument(data)) return false;
+
+  if (reason === 'save') {
+    const { data: latest, error: latestError } = await supabase
+      .from('app_data_backups')
+      .select('created_at')
+      .eq('clinic_id', clinicId)
+      .eq('type', type)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (latestError) throw latestError;
+    if (latest && latest.length > 0 && Date.now() - new Date(latest[0].created_at).getTime() < SNAPSHOT_INTERVAL_MS) {
+      return false;
+    }
+  }
+
+  const { error } = await supabase
+    .from('app_data_backups')
+    .insert({
+      clinic_id: clinicId,
+      user_id: userId,
+      type,
+      data,
+      revision,
+      reason
+    });
+
+  if (error) throw error;
+
+  await pruneSnapshots(clinicId, type);
+  return true;
+}
+
+/**
+ * Apply retention: drop snapshots older than SNAPSHOT_MAX_AGE_DAYS and
+ * anything beyond the newest SNAPSHOT_MAX_COUNT
+ * @param {string} clinicId
+ * @param {string} type
+ */
+export async function pruneSnapshots(clinicId, type) {
+  const cutoff = new Date(Date.now() - SNAPSHOT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { error: ageError } = await supabase
+    .from('app_data_backups')
+    .delete()
+    .eq('clinic_id', clinicId)
+    .eq('type', type)
+    .lt('created_at', cutoff);
+
+  if (ageError) throw ageError;
+
+  const { data: extra, error: listError } = await supabase
+    .from('app_data_backups')
+    .select('id')
+    .eq('clinic_id', clinicId)
+    .eq('type', type)
+    .order('created_at', { ascending: false })
+    .range(SNAPSHOT_MAX_COUNT, SNAPSHOT_MAX_COUNT + 500);
+
+  if (listError) throw listError;
+
+  if (extra && extra.length > 0) {
+    const { error: countError } = await supabase
+      .from('app_data_backups')
+      .delete()
+      .in('id', extra.map(s => s.id));
+
+    if (countError) throw countError;
+  }
+}
+
+// Short label for a record inside a document array (patient, log, snippet...)
+function recordLabel(record) {
+  return record.name || record.patientName || record.text || record.title || record.action || `#${record.id}`;
+}
+
+/**
+ * Summarize what restoring a snapshot would change, per top-level key.
+ * Arrays of {id} records are compared record by record; anything else is
+ * reported as changed or unchanged.
+ * @param {object} currentData - Document stored now
+ * @param {object} snapshotData - Document in the snapshot
+ * @returns {Array<{key: string, changed: boolean, current?: number, snapshot?: number, added?: string[], removed?: string[], modified?: string[]}>}
+ */
+export function diffDocuments(currentData, snapshotData) {
+  const current = currentData || {};
+  const snapshot = snapshotData || {};
+  const keys = new Set([...Object.keys(current), ...Object.keys(snapshot)]);
+  const summary = [];
+
+  keys.forEach(key => {
+    const a = current[key];
+    const b = snapshot[key];
+    const changed = JSON.stringify(a) !== JSON.stringify(b);
+
+    const isRecordArray = v => Array.isArray(v) && v.every(r => r && typeof r === 'object' && r.id !== undefined);
+    if ((a === undefined || isRecordArray(a)) && (b === undefined || isRecordArray(b)) && (a || b)) {
+      const currentById = new Map((a || []).map(r => [String(r.id), r]));
+      const snapshotById = new Map((b || []).map(r => [String(r.id), r]));
+
+      // Relative to the current document: what restoring would bring back or remove
+      const added = [...snapshotById].filter(([id]) => !currentById.has(id)).map(([, r]) => recordLabel(r));
+      const removed = [...currentById].filter(([id]) => !snapshotById.has(id)).map(([, r]) => recordLabel(r));
+      const modified = [...snapshotById]
+        .filter(([id, r]) => currentById.has(id) && JSON.stringify(currentById.get(id)) !== JSON.stringify(r))
+        .map(([, r]) => recordLabel(r));
+
+      summary.push({ key, changed, current: currentById.size, snapshot: snapshotById.size, added, removed, modified });
+      return;
+    }
+
+    summary.push({ key, changed });
+  });
+
+  return summary;
+}
@@ -0,0 +1,216 @@
+import { createClient } from '@supabase/supabase-js';
+import { DATE_PATTERN, UUID_PATTERN, isoDate, clockMinutes } from './helpers.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// QA items copied onto each treatment (same list as the patient tab checkmarks)
+const QA_FIELDS = ['preCheck', 'thirtyMinCheck', 'medsComplete', 'abxIDPN', 'statLabs', 'missedTx', 'whiteboard', 'labsPrep', 'ettSigned'];
+
+// Tech Check items ticked by hand (blankVitalsNotes is derived from the vitals table)
+const TECH_CHECK_FIELDS = ['initiationTime', 'orderVerification', 'accessEvalTime', 'txInitiated', 'txEnded', 'heparinBolus', 'lidocaine', 'postWeight'];
+
+// Census order fields kept with each treatment (see IMPORT_FIELDS in index.html)
+const PARAMETER_FIELDS = ['dialyzer', 'bi', 'profile', 'na', 'k', 'ca', 'dfr', 'bfr', 'temp', 'arterialNeedleGauge', 'venousNeedleGauge'];
+
+// Same defaults as DEFAULT_CLINICAL_RULES.parameters in index.html
+const DEFAULT_VITALS_INTERVAL = 30;
+const DEFAULT_VITALS_GRACE = 5;
+
+function toNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.round(number * 100) / 100 : null;
+}
+
+// Rx time "3:30" -> 210
+function durationMinutes(value) {
+  const match = String(value || '').match(/^(\d{1,2}):([0-5]\d)$/);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Whether the vitals table leaves a gap longer than the check interval (plus
+ * grace) or has a reading without BP or pulse. Mirrors getBlankVitalsGaps()
+ * in index.html for a finished treatment.
+ * @param {object} patient
+ * @param {object} parameters - Clinical rule parameters
+ * @returns {boolean}
+ */
+function hasBlankVitals(patient, parameters) {
+  const vitals = Array.isArray(patient.vitals) ? patient.vitals : [];
+  const parameter = name => typeof patient.ruleOverrides?.[name] === 'number' ? patient.ruleOverrides[name] : parameters[name];
+  const limit = (parameter('vitalsIntervalMinutes') ?? DEFAULT_VITALS_INTERVAL) + (parameter('vitalsGraceMinutes') ?? DEFAULT_VITALS_GRACE);
+
+  const points = [patient.startTime, ...vitals.map(v => v.time), patient.endTime].map(clockMinutes);
+  for (let i = 1; i < points.length; i++) {
+    if (points[i] !== null && points[i - 1] !== null && points[i] - points[i - 1] > limit) return true;
+  }
+  return vitals.some(v => v.sbp === null || v.dbp === null || v.pulse === null);
+}
+
+// Missed only once a reason is ticked - same test as hasMissedTxChecked()
+// in index.html
+function isMissedTreatment(patient) {
+  return !!patient.missedTx && !!(patient.missedTxSubs?.rescheduled ||
+    patient.missedTxSubs?.calledOff ||
+    patient.missedTxSubs?.noCallNoShow);
+}
+
+/**
+ * Build the treatments row for a flowsheet patient, or null if the treatment
+ * isn't finished yet (completed, missed or hospitalized) or the patient has
+ * no stable key.
+ * @param {object} patient - Patient from the flowsheet document
+ * @param {object} [parameters] - Clinical rule parameters (vitals interval)
+ * @param {{unfinished?: boolean}} [options] - unfinished: also build rows for
+ *   treatments still running or not started (outcome null) and patients
+ *   without a key (patient_key null), for exports of the current shift
+ * @returns {object|null}
+ */
+export function buildTreatmentRow(patient, parameters = {}, { unfinished = false } = {}) {
+  if (!patient || (!patient.importKey && !unfinished)) return null;
+
+  let outcome = null;
+  if (patient.hospitalization) outcome = 'hospitalized';
+  else if (isMissedTreatment(patient)) outcome = 'missed';
+  else if (patient.startTime && patient.endTime && patient.postWeight) outcome = 'completed';
+  if (!outcome && !unfinished) return null;
+
+  const start = clockMinutes(patient.startTime);
+  const end = clockMinutes(patient.endTime);
+  const preWeight = toNumber(patient.preWeight);
+  const postWeight = toNumber(patient.postWeight);
+
+  return {
+    patient_key: patient.importKey ? String(patient.importKey) : null,
+    patient_name: patient.name || '',
+    treatment_date: DATE_PATTERN.test(patient.treatmentDate || '') ? patient.treatmentDate : isoDate(new Date()),
+    shift: patient.shift || '',
+    section: patient.section || null,
+    chair: patient.chair ? String(patient.chair) : null,
+    technician: patient.technician || null,
+    // Account the tech is linked to (see TECHNICIAN ACCOUNTS in index.html)
+    technician_user_id: UUID_PATTERN.test(patient.technicianUserId || '') ? patient.technicianUserId.toLowerCase() : null,
+    machine_serial: patient.machineSerial ? String(patient.machineSerial).trim() || null : null,
+    rx_minutes: durationMinutes(patient.rxTime),
+    start_time: String(patient.startTime || ''),
+    end_time: String(patient.endTime || ''),
+    // Treatments that run past midnight wrap around
+    duration_minutes: start !== null && end !== null ? (end - start + 1440) % 1440 : null,
+    dry_weight: toNumber(patient.dryWeight),
+    pre_weight: preWeight,
+    post_weight: postWeight,
+    goal_uf: toNumber(patient.goalUF),
+    actual_uf: preWeight !== null && postWeight !== null ? Math.round((preWeight - postWeight) * 100) / 100 : null,
+    qa: Object.fromEntries(QA_FIELDS.map(field => [field, !!patient[field]])),
+    notes: patient.quickNotes || null,
+    parameters: Object.fromEntries(PARAMETER_FIELDS
+      .filter(field => patient[field] !== undefined && patient[field] !== null && String(patient[field]).trim() !== '')
+      .map(field => [field, String(patient[field]).trim()])),
+    vitals: Array.isArray(patient.vitals) ? patient.vitals.map(({ id, ...reading }) => reading) : [],
+    outcome,
+    tech_check_issues: [
+      ...TECH_CHECK_FIELDS.filter(field => patient.techCheck?.[field]),
+      ...(outcome === 'completed' && hasBlankVitals(patient, parameters) ? ['blankVitalsNotes'] : [])
+    ]
+  };
+}
+
+// Clinic rule parameters, for the blank vitals check
+async function getRuleParameters(clinicId) {
+  const { data, error } = await supabase
+    .from('app_data')
+    .select('data')
+    .eq('type', 'clinical_rules')
+    .eq('clinic_id', clinicId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.data?.parameters || {};
+}
+
+// Which of these accounts are members of the clinic
+async function getMemberIds(clinicId, userIds) {
+  if (userIds.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('clinic_members')
+    .select('user_id')
+    .eq('clinic_id', clinicId)
+    .in('user_id', userIds);
+
+  if (error) throw error;
+  return new Set((data || []).map(member => member.user_id));
+}
+
+/**
+ * Upsert a treatments row for every finished treatment (completed, missed or
+ * hospitalized) a flowsheet save added or changed, and delete the row of a
+ * treatment whose outcome was cleared. Unchanged treatments are not
+ * rewritten; patients removed from the flowsheet keep their rows.
+ * @param {string} clinicId - The active clinic
+ * @param {string} userId - The user who saved
+ * @param {object|null} previousData - Stored document before the save
+ * @param {object} newData - Document that was saved
+ * @returns {Promise<number>} Number of rows written or deleted
+ */
+export async function recordTreatments(clinicId, userId, previousData, newData) {
+  const previous = new Map((previousData?.patients || []).map(p => [String(p.id), p]));
+  const patients = (newData?.patients || [])
+    .filter(p => buildTreatmentRow(p) || buildTreatmentRow(previous.get(String(p.id))));
+  if (patients.length === 0) return 0;
+
+  const parameters = await getRuleParameters(clinicId);
+  const rows = [];
+  const cleared = [];
+
+  patients.forEach(patient => {
+    const row = buildTreatmentRow(patient, parameters);
+    const before = buildTreatmentRow(previous.get(String(patient.id)), parameters);
+
+    if (!row) {
+      // Only the same treatment - flowsheet ids are reused after a reset
+      const current = buildTreatmentRow(patient, parameters, { unfinished: true });
+      if (before && current.patient_key === before.patient_key &&
+          current.treatment_date === before.treatment_date && current.shift === before.shift) {
+        cleared.push(before);
+      }
+      return;
+    }
+    if (before && JSON.stringify(before) === JSON.stringify(row)) return;
+
+    rows.push({ ...row, clinic_id: clinicId, user_id: userId, recorded_at: new Date().toISOString() });
+  });
+
+  // technician_user_id references auth.users (v20). A link to an account that
+  // was removed, or never belonged to this clinic, is dropped rather than
+  // failing the whole upsert.
+  const members = await getMemberIds(clinicId, [...new Set(rows.map(row => row.technician_user_id).filter(Boolean))]);
+  rows.forEach(row => {
+    if (row.technician_user_id && !members.has(row.technician_user_id)) row.technician_user_id = null;
+  });
+
+  if (rows.length > 0) {
+    const { error } = await supabase
+      .from('treatments')
+      .upsert(rows, { onConflict: 'clinic_id,patient_key,treatment_date,shift' });
+
+    if (error) throw error;
+  }
+
+  for (const row of cleared) {
+    const { error } = await supabase
+      .from('treatments')
+      .delete()
+      .eq('clinic_id', clinicId)
+      .eq('patient_key', row.patient_key)
+      .eq('treatment_date', row.treatment_date)
+      .eq('shift', row.shift);
+
+    if (error) throw error;
+  }
+
+  return rows.length + cleared.length;
+}
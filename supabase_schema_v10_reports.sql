@@ -0,0 +1,71 @@
+-- HDFlowsheet Cloud - Archived End of Shift Reports (v10)
+-- Run this AFTER supabase_schema_v9_snapshots.sql
+-- "Finalize shift" on the Reports page stores the End of Shift Report as an
+-- immutable record: the sections as edited (what was handed off) plus the
+-- structured patient data they came from. /api/reports lists and fetches them.
+
+-- ============================================
+-- SHIFT REPORTS TABLE
+-- ============================================
+-- shift:      floor config shift key(s) the report covers, e.g. '1st' or '1st,2nd'
+-- sections:   [{id, title, entries: [{patientId, name, chair, text}]}]
+-- data:       {patients: [...]} - chart values behind the report
+-- author_name is copied at finalize time so the record reads the same if
+-- the account is renamed or removed. user_id has no foreign key: reports
+-- are immutable, so ON DELETE SET NULL would be rejected by the trigger below
+-- and block deleting the user.
+CREATE TABLE IF NOT EXISTS shift_reports (
+    id BIGSERIAL PRIMARY KEY,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    user_id UUID,
+    author_name TEXT,
+    report_date DATE NOT NULL,
+    shift TEXT NOT NULL,
+    shift_name TEXT,
+    sections JSONB NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    finalized_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_reports_date ON shift_reports(clinic_id, report_date DESC, finalized_at DESC);
+
+-- ============================================
+-- IMMUTABLE
+-- Finalized reports can be inserted but never edited or removed.
+-- A correction is a new finalize. (Deleting a whole clinic still cascades.)
+-- ============================================
+CREATE OR REPLACE FUNCTION prevent_shift_report_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM clinics WHERE id = OLD.clinic_id) THEN
+        RETURN OLD; -- clinic deletion cascade
+    END IF;
+    RAISE EXCEPTION 'shift_reports are immutable';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS shift_reports_immutable ON shift_reports;
+CREATE TRIGGER shift_reports_immutable
+    BEFORE UPDATE OR DELETE ON shift_reports
+    FOR EACH ROW EXECUTE FUNCTION prevent_shift_report_changes();
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- Members can read their clinic's reports; only the API (service role) writes
+-- ============================================
+ALTER TABLE shift_reports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "shift_reports_member" ON shift_reports;
+CREATE POLICY "shift_reports_member" ON shift_reports
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - POST /api/reports finalizes the current End of Shift Report
+-- - GET /api/reports lists reports by date range, ?id=... fetches one
+-- - shift_reports rows cannot be updated or deleted; deleting an auth user
+--   leaves their reports (and author_name) in place
@@ -0,0 +1,60 @@
+-- HDFlowsheet Cloud - Treatment History (v11)
+-- Run this AFTER supabase_schema_v10_reports.sql
+-- The flowsheet document only holds today's patients. /api/save now also
+-- writes every completed treatment to a normalized treatments table, keyed
+-- by the patient's stable import key (hash of MRN/ID) rather than initials,
+-- so it survives "Reset Patients" and can be charted over time.
+
+-- ============================================
+-- TREATMENTS TABLE
+-- ============================================
+-- patient_key:  patient.importKey - hash of the census Match Key (MRN / ID)
+-- qa:           {preCheck, thirtyMinCheck, medsComplete, ...} as charted
+-- One row per patient, date and shift; re-saving a corrected chart updates it
+CREATE TABLE IF NOT EXISTS treatments (
+    id BIGSERIAL PRIMARY KEY,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    patient_key TEXT NOT NULL,
+    patient_name TEXT,
+    treatment_date DATE NOT NULL,
+    shift TEXT NOT NULL DEFAULT '',
+    section TEXT,
+    chair TEXT,
+    technician TEXT,
+    rx_minutes INTEGER,
+    start_time TEXT,
+    end_time TEXT,
+    duration_minutes INTEGER,
+    dry_weight NUMERIC(6,2),
+    pre_weight NUMERIC(6,2),
+    post_weight NUMERIC(6,2),
+    goal_uf NUMERIC(6,2),
+    actual_uf NUMERIC(6,2),
+    qa JSONB NOT NULL DEFAULT '{}'::jsonb,
+    notes TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (clinic_id, patient_key, treatment_date, shift)
+);
+
+CREATE INDEX IF NOT EXISTS idx_treatments_patient ON treatments(clinic_id, patient_key, treatment_date DESC);
+CREATE INDEX IF NOT EXISTS idx_treatments_date ON treatments(clinic_id, treatment_date DESC);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- Members can read their clinic's treatments; only the API (service role) writes
+-- ============================================
+ALTER TABLE treatments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "treatments_member" ON treatments;
+CREATE POLICY "treatments_member" ON treatments
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - Flowsheet saves upsert one treatments row per completed treatment
+--   (start time, end time and post weight charted) for patients with an
+--   import key; patients added by hand get one from "Set patient ID"
+-- - GET /api/treatments?patient_key=... returns a patient's history
@@ -0,0 +1,29 @@
+-- HDFlowsheet Cloud - Quality Metrics (v12)
+-- Run this AFTER supabase_schema_v11_treatments.sql
+-- QA meetings need missed treatments, hospitalizations and tech-check issues
+-- alongside the completed treatments. The treatments table now records those
+-- outcomes too, and /api/metrics aggregates it by technician, section, shift
+-- and day.
+
+-- ============================================
+-- EXTEND treatments
+-- ============================================
+-- outcome:           'completed', 'missed' or 'hospitalized'
+-- tech_check_issues: Tech Check keys flagged on the chart (initiationTime,
+--                    blankVitalsNotes, ...)
+ALTER TABLE treatments ADD COLUMN IF NOT EXISTS outcome TEXT NOT NULL DEFAULT 'completed';
+ALTER TABLE treatments ADD COLUMN IF NOT EXISTS tech_check_issues TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE treatments DROP CONSTRAINT IF EXISTS treatments_outcome_check;
+ALTER TABLE treatments ADD CONSTRAINT treatments_outcome_check
+    CHECK (outcome IN ('completed', 'missed', 'hospitalized'));
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - Flowsheet saves also record missed and hospitalized treatments, and the
+--   tech-check issues of every recorded treatment
+-- - GET /api/metrics?from=...&to=... returns dry-weight, early-termination,
+--   missed, hospitalization and tech-check figures, overall and broken down
+--   by technician, section, shift and day
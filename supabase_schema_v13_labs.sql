@@ -0,0 +1,80 @@
+-- HDFlowsheet Cloud - Structured Lab Results (v13)
+-- Run this AFTER supabase_schema_v12_metrics.sql
+-- Lab entries were a patient name and a free-text result, and /api/labs
+-- replaced every row on each save. Entries now carry an analyte, numeric
+-- value, units, reference range, collection time and status, are flagged
+-- against the clinic's critical ranges (app_data type 'lab_ranges', edited
+-- through /api/config?doc=labs), and are written one at a time.
+
+-- ============================================
+-- EXTEND labs
+-- ============================================
+-- client_id:     the app's own id for an entry (ids are assigned here), so a
+--                retried or replayed save updates the row it created. Rows
+--                the API creates (HL7) use their id.
+-- patient_key:   patient.importKey when the entry is tied to a charted patient
+-- analyte:       key from the clinic's lab ranges (K, Hgb, Phos, ...) or free text
+-- flag:          NULL, 'low', 'high', 'critical_low' or 'critical_high' (set by the API)
+-- lab_result:    free-text result or comment (the only field on older entries)
+-- source_*:      chart lab an entry was copied from (patient card STAT Labs)
+-- cleared_at:    set by "Reset Patients" - the entry leaves the Operations list
+--                but stays available for trends
+ALTER TABLE labs ALTER COLUMN lab_result DROP NOT NULL;
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS patient_key TEXT;
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS analyte TEXT;
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS value NUMERIC(10,3);
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS units TEXT;
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS ref_low NUMERIC(10,3);
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS ref_high NUMERIC(10,3);
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS collected_at TIMESTAMPTZ;
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'final';
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS flag TEXT;
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS source_patient_id BIGINT;
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS source_lab_id BIGINT;
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS cleared_at TIMESTAMPTZ;
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS client_id TEXT;
+
+-- Older app versions picked the id themselves
+UPDATE labs SET client_id = id::TEXT WHERE client_id IS NULL;
+
+CREATE OR REPLACE FUNCTION set_lab_client_id()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.client_id := COALESCE(NEW.client_id, NEW.id::TEXT);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS labs_client_id ON labs;
+CREATE TRIGGER labs_client_id
+    BEFORE INSERT ON labs
+    FOR EACH ROW EXECUTE FUNCTION set_lab_client_id();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labs_client ON labs(clinic_id, client_id);
+
+ALTER TABLE labs DROP CONSTRAINT IF EXISTS labs_status_check;
+ALTER TABLE labs ADD CONSTRAINT labs_status_check
+    CHECK (status IN ('pending', 'preliminary', 'final', 'corrected'));
+
+ALTER TABLE labs DROP CONSTRAINT IF EXISTS labs_flag_check;
+ALTER TABLE labs ADD CONSTRAINT labs_flag_check
+    CHECK (flag IS NULL OR flag IN ('low', 'high', 'critical_low', 'critical_high'));
+
+-- Operations list (newest first, not cleared) and per-patient trends
+CREATE INDEX IF NOT EXISTS idx_labs_clinic_created ON labs(clinic_id, created_at DESC) WHERE cleared_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_labs_patient_analyte ON labs(clinic_id, patient_key, analyte, collected_at);
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - GET /api/labs pages through entries (limit/offset, patient_key, analyte,
+--   from/to, flagged=1); POST creates or replaces one entry by its
+--   client_id and returns the id the database gave it, PUT ?id= updates
+--   one, DELETE ?id= (or ?client_id=) deletes one, DELETE without an id
+--   clears the Operations list (entries are kept for trends)
+-- - Results are flagged against the clinic's reference and critical ranges;
+--   critical results are listed in the End of Shift Report STAT Labs section
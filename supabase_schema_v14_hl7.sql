@@ -0,0 +1,83 @@
+-- HDFlowsheet Cloud - HL7 Lab Result Ingestion (v14)
+-- Run this AFTER supabase_schema_v13_labs.sql
+-- /api/labs/hl7 accepts HL7 v2 ORU^R01 messages (pasted in the app or posted
+-- by an interface engine). Every message is kept here: matched messages
+-- become labs rows and update the patient's STAT Labs items, unmatched ones
+-- wait in a review queue until someone picks the patient.
+
+-- ============================================
+-- HL7 MESSAGES TABLE
+-- ============================================
+-- control_id:   MSH-10, unique per clinic among messages that didn't fail, so
+--               a message the engine sends twice is stored (and filed) once
+-- status:       'processed', 'unmatched' (review queue), 'error' (nothing
+--               usable parsed or filed), 'dismissed', or 'processing' (stored
+--               and claimed while its results are being filed, so a resend
+--               or a second resolve can't file them twice)
+-- processing_at: when the message was last claimed for filing. A message
+--               still 'processing' long after that was left by a request that
+--               crashed; a resend or a resolve may reclaim it
+-- patient_*:    PID-3 identifier and PID-5 name as sent, for the review queue
+-- results:      parsed OBX results [{analyte, value, units, refLow, refHigh,
+--               status, collectedAt, orderName, text}]
+-- errors:       per-segment parse errors [{segment, line, error}]
+-- lab_ids:      labs rows created from the message
+CREATE TABLE IF NOT EXISTS hl7_messages (
+    id BIGSERIAL PRIMARY KEY,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    control_id TEXT,
+    sending_facility TEXT,
+    status TEXT NOT NULL,
+    patient_id TEXT,
+    patient_name TEXT,
+    patient_key TEXT,
+    raw TEXT NOT NULL,
+    results JSONB NOT NULL DEFAULT '[]'::jsonb,
+    errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+    lab_ids BIGINT[] NOT NULL DEFAULT '{}',
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    processing_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT hl7_messages_status_check
+        CHECK (status IN ('processed', 'unmatched', 'error', 'dismissed', 'processing'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_hl7_messages_status ON hl7_messages(clinic_id, status, created_at DESC);
+-- Failed messages may be sent again and filed by the resend
+DROP INDEX IF EXISTS idx_hl7_messages_control;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hl7_messages_control ON hl7_messages(clinic_id, control_id)
+    WHERE status <> 'error';
+
+-- ============================================
+-- LABS FILED FROM A MESSAGE
+-- ============================================
+-- Set on the labs rows a message filed, so a reclaimed message whose results
+-- were filed before the crash is finished instead of filed twice
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS hl7_message_id BIGINT
+    REFERENCES hl7_messages(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_labs_hl7_message ON labs(hl7_message_id) WHERE hl7_message_id IS NOT NULL;
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- Members can read their clinic's messages; only the API (service role) writes
+-- ============================================
+ALTER TABLE hl7_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "hl7_messages_member" ON hl7_messages;
+CREATE POLICY "hl7_messages_member" ON hl7_messages
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - POST /api/labs/hl7 parses ORU^R01 messages (PID, OBR, OBX), matches the
+--   patient on the flowsheet (PID-3 identifier, or name with PID-7 date of
+--   birth) and creates labs rows; a resend is reported as a duplicate, or
+--   reclaims the message if it was left 'processing'
+-- - Matching STAT Labs items on the patient card are marked drawn and resulted
+-- - GET /api/labs/hl7 lists the review queue; PUT ?id= assigns a patient to
+--   an unmatched message or dismisses it
@@ -0,0 +1,26 @@
+-- HDFlowsheet Cloud - FHIR Export (v15)
+-- Run this AFTER supabase_schema_v14_hl7.sql
+-- /api/fhir exports treatments, vitals and labs as a FHIR R4 Bundle. The
+-- flowsheet is cleared every shift, so treatments rows now also keep the
+-- treatment parameters and the intradialytic vitals they were run with.
+
+-- ============================================
+-- EXTEND treatments
+-- ============================================
+-- parameters: census order fields {dialyzer, bi, profile, na, k, ca, dfr,
+--             bfr, temp, arterialNeedleGauge, venousNeedleGauge}, as charted
+-- vitals:     intradialytic readings [{time, sbp, dbp, pulse, ap, vp, bfr,
+--             tmp, ufr, note}]
+ALTER TABLE treatments ADD COLUMN IF NOT EXISTS parameters JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE treatments ADD COLUMN IF NOT EXISTS vitals JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - Flowsheet saves record treatment parameters and vitals with each treatment
+-- - GET /api/fhir?from=...&to=... (optionally shift, patient_key) returns a
+--   FHIR R4 collection Bundle: Patient, Encounter, Procedure, Observation
+--   (weights, durations, prescription, vitals, labs) and MedicationAdministration
+--   (dialysate, medications marked given). Treatments saved before this
+--   migration export without parameters and vitals.
@@ -0,0 +1,210 @@
+-- HDFlowsheet Cloud - Recurring Checklist Schedules (v16)
+-- Run this AFTER supabase_schema_v15_fhir.sql
+-- Checklists no longer reset only at midnight: a checklist (or one of its
+-- items) carries a recurrence rule and due time, and completions are kept per
+-- period - the day, week or month a rule started, or one shift.
+
+-- ============================================
+-- SCHEDULE COLUMNS
+-- ============================================
+-- schedule: {frequency: 'daily'|'shift'|'weekly'|'monthly', dueTime: 'HH:MM',
+--            dueAfter: minutes after shift start, days: [0-6], dayOfMonth}
+--           NULL on a checklist = daily with no due time; NULL on an item =
+--           use the checklist's schedule (see lib/schedules.js)
+ALTER TABLE checklists ADD COLUMN IF NOT EXISTS schedule JSONB;
+ALTER TABLE checklist_items ADD COLUMN IF NOT EXISTS schedule JSONB;
+
+-- ============================================
+-- COMPLETION PERIODS
+-- ============================================
+-- completion_date: first day of the period the item was completed in
+-- period:          shift key for per-shift schedules, '' otherwise
+ALTER TABLE checklist_completions ADD COLUMN IF NOT EXISTS period TEXT NOT NULL DEFAULT '';
+
+ALTER TABLE checklist_completions
+    DROP CONSTRAINT IF EXISTS checklist_completions_checklist_id_item_id_completion_date_key;
+ALTER TABLE checklist_completions
+    DROP CONSTRAINT IF EXISTS checklist_completions_period_key;
+ALTER TABLE checklist_completions
+    ADD CONSTRAINT checklist_completions_period_key
+    UNIQUE (checklist_id, item_id, completion_date, period);
+
+-- ============================================
+-- save_checklists (replaces the v6 version)
+-- Same diff-based save and revision check, now also storing schedules and
+-- syncing completions per period.
+--
+-- p_checklists: [{id, name, position, schedule, folders: [{id, name, order}],
+--                 items: [{id, text, order, folderId, url, schedule}]}]
+-- p_completions: [{date: 'YYYY-MM-DD', period: '' | shiftKey, checklistId,
+--                  itemIds: [], timestamp}]
+-- ============================================
+CREATE OR REPLACE FUNCTION save_checklists(
+    p_clinic_id UUID,
+    p_user_id UUID,
+    p_checklists JSONB,
+    p_completions JSONB DEFAULT NULL,
+    p_expected_revision BIGINT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    cl JSONB;
+    fo JSONB;
+    it JSONB;
+    comp JSONB;
+    cl_index INTEGER := 0;
+    cl_id BIGINT;
+    fo_id BIGINT;
+    it_id BIGINT;
+    comp_checklist BIGINT;
+    comp_items BIGINT[];
+    kept_checklists BIGINT[] := '{}';
+    kept_folders BIGINT[];
+    kept_items BIGINT[];
+    checklist_map JSONB := '{}';
+    folder_map JSONB := '{}';
+    item_map JSONB := '{}';
+    new_revision BIGINT;
+BEGIN
+    -- Stale copies are rejected whole (see claim_checklist_revision in v6)
+    new_revision := claim_checklist_revision(p_clinic_id, p_expected_revision);
+    IF new_revision IS NULL THEN
+        RETURN jsonb_build_object(
+            'conflict', TRUE,
+            'revision', (SELECT checklist_revision FROM clinics WHERE id = p_clinic_id)
+        );
+    END IF;
+
+    FOR cl IN SELECT * FROM jsonb_array_elements(COALESCE(p_checklists, '[]'::JSONB)) LOOP
+        -- Existing checklist in this clinic, or a new one
+        SELECT id INTO cl_id FROM checklists
+            WHERE id = parse_client_id(cl->>'id') AND clinic_id = p_clinic_id;
+
+        IF cl_id IS NULL THEN
+            INSERT INTO checklists (name, position, role, schedule, clinic_id, user_id)
+            VALUES (cl->>'name', cl_index, COALESCE(cl->>'position', 'General'), NULLIF(cl->'schedule', 'null'::JSONB), p_clinic_id, p_user_id)
+            RETURNING id INTO cl_id;
+        ELSE
+            UPDATE checklists
+            SET name = cl->>'name',
+                position = cl_index,
+                role = COALESCE(cl->>'position', 'General'),
+                schedule = NULLIF(cl->'schedule', 'null'::JSONB),
+                user_id = p_user_id
+            WHERE id = cl_id;
+        END IF;
+
+        checklist_map := checklist_map || jsonb_build_object(cl->>'id', cl_id);
+        kept_checklists := kept_checklists || cl_id;
+        cl_index := cl_index + 1;
+
+        -- Folders
+        kept_folders := '{}';
+        FOR fo IN SELECT * FROM jsonb_array_elements(COALESCE(cl->'folders', '[]'::JSONB)) LOOP
+            SELECT id INTO fo_id FROM checklist_folders
+                WHERE id = parse_client_id(fo->>'id') AND checklist_id = cl_id;
+
+            IF fo_id IS NULL THEN
+                INSERT INTO checklist_folders (checklist_id, name, sort_order)
+                VALUES (cl_id, fo->>'name', COALESCE((fo->>'order')::INTEGER, 0))
+                RETURNING id INTO fo_id;
+            ELSE
+                UPDATE checklist_folders
+                SET name = fo->>'name',
+                    sort_order = COALESCE((fo->>'order')::INTEGER, 0)
+                WHERE id = fo_id;
+            END IF;
+
+            folder_map := folder_map || jsonb_build_object(fo->>'id', fo_id);
+            kept_folders := kept_folders || fo_id;
+        END LOOP;
+
+        -- Items (folderId is resolved through the folder mapping)
+        kept_items := '{}';
+        FOR it IN SELECT * FROM jsonb_array_elements(COALESCE(cl->'items', '[]'::JSONB)) LOOP
+            SELECT id INTO it_id FROM checklist_items
+                WHERE id = parse_client_id(it->>'id') AND checklist_id = cl_id;
+
+            IF it_id IS NULL THEN
+                INSERT INTO checklist_items (checklist_id, folder_id, item_text, url, sort_order, schedule)
+                VALUES (
+                    cl_id,
+                    (folder_map->>(it->>'folderId'))::BIGINT,
+                    it->>'text',
+                    NULLIF(it->>'url', ''),
+                    COALESCE((it->>'order')::INTEGER, 0),
+                    NULLIF(it->'schedule', 'null'::JSONB)
+                )
+                RETURNING id INTO it_id;
+            ELSE
+                UPDATE checklist_items
+                SET folder_id = (folder_map->>(it->>'folderId'))::BIGINT,
+                    item_text = it->>'text',
+                    url = NULLIF(it->>'url', ''),
+                    sort_order = COALESCE((it->>'order')::INTEGER, 0),
+                    schedule = NULLIF(it->'schedule', 'null'::JSONB)
+                WHERE id = it_id;
+            END IF;
+
+            item_map := item_map || jsonb_build_object(it->>'id', it_id);
+            kept_items := kept_items || it_id;
+        END LOOP;
+
+        -- Remove folders/items the client deleted from this checklist
+        DELETE FROM checklist_items
+            WHERE checklist_id = cl_id AND NOT (id = ANY(kept_items));
+        DELETE FROM checklist_folders
+            WHERE checklist_id = cl_id AND NOT (id = ANY(kept_folders));
+    END LOOP;
+
+    -- Remove checklists the client deleted (cascades to folders/items/completions)
+    DELETE FROM checklists
+        WHERE clinic_id = p_clinic_id AND NOT (id = ANY(kept_checklists));
+
+    -- Completions: for each period/checklist sent, make stored rows match exactly
+    IF p_completions IS NOT NULL THEN
+        FOR comp IN SELECT * FROM jsonb_array_elements(p_completions) LOOP
+            comp_checklist := (checklist_map->>(comp->>'checklistId'))::BIGINT;
+            CONTINUE WHEN comp_checklist IS NULL;
+
+            SELECT COALESCE(array_agg((item_map->>value)::BIGINT), '{}')
+            INTO comp_items
+            FROM jsonb_array_elements_text(COALESCE(comp->'itemIds', '[]'::JSONB))
+            WHERE item_map ? value;
+
+            DELETE FROM checklist_completions
+                WHERE checklist_id = comp_checklist
+                AND completion_date = (comp->>'date')::DATE
+                AND period = COALESCE(comp->>'period', '')
+                AND NOT (item_id = ANY(comp_items));
+
+            INSERT INTO checklist_completions (checklist_id, item_id, completion_date, period, completed_at)
+            SELECT comp_checklist, item_id, (comp->>'date')::DATE, COALESCE(comp->>'period', ''),
+                   COALESCE((comp->>'timestamp')::TIMESTAMPTZ, NOW())
+            FROM unnest(comp_items) AS item_id
+            ON CONFLICT (checklist_id, item_id, completion_date, period) DO NOTHING;
+        END LOOP;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'checklists', checklist_map,
+        'folders', folder_map,
+        'items', item_map,
+        'revision', new_revision
+    );
+END;
+$$;
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - Checklists and items store a recurrence rule (daily, every shift, weekly
+--   on chosen days, monthly on a day) with a due time
+-- - /api/checklists GET returns completions for each item's current period
+--   (computed in the clinic's timezone from the floor config shift times)
+--   instead of only today's date
+-- - Completions from earlier days stay valid for weekly/monthly items until
+--   their next period starts
@@ -0,0 +1,299 @@
+-- HDFlowsheet Cloud - Checklist Completion Attribution & History (v17)
+-- Run this AFTER supabase_schema_v16_checklist_schedules.sql
+-- Each completion records who checked the item and an optional note, and
+-- every check, un-check and note change is logged so surveyors can see who
+-- did a task on a given date. /api/checklists/history reports compliance and
+-- the day log from these tables.
+
+-- ============================================
+-- COMPLETION ATTRIBUTION
+-- ============================================
+-- completed_by:      user who checked the item (the user whose save stored it)
+-- completed_by_name: display name or email, copied so the log reads the same
+--                    if the account is renamed or removed
+-- note:              optional note entered with the completion
+ALTER TABLE checklist_completions
+    ADD COLUMN IF NOT EXISTS completed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE checklist_completions ADD COLUMN IF NOT EXISTS completed_by_name TEXT;
+ALTER TABLE checklist_completions ADD COLUMN IF NOT EXISTS note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_completions_period ON checklist_completions(checklist_id, completion_date);
+
+-- ============================================
+-- COMPLETION EVENTS TABLE
+-- Append-only; written by save_checklists()
+-- ============================================
+-- action:          'checked', 'unchecked' or 'note' (note changed on a checked item)
+-- checklist_name,
+-- item_text:       copied so the history survives the checklist or item
+--                  being renamed or deleted
+-- completion_date,
+-- period:          the period the event applies to (see v16)
+-- occurred_at:     when it happened - the client's check time for 'checked'
+CREATE TABLE IF NOT EXISTS checklist_completion_events (
+    id BIGSERIAL PRIMARY KEY,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    checklist_id BIGINT REFERENCES checklists(id) ON DELETE SET NULL,
+    item_id BIGINT REFERENCES checklist_items(id) ON DELETE SET NULL,
+    checklist_name TEXT NOT NULL,
+    item_text TEXT NOT NULL,
+    completion_date DATE NOT NULL,
+    period TEXT NOT NULL DEFAULT '',
+    action TEXT NOT NULL,
+    note TEXT,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    user_name TEXT,
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT checklist_completion_events_action_check
+        CHECK (action IN ('checked', 'unchecked', 'note'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_completion_events_occurred ON checklist_completion_events(clinic_id, occurred_at);
+
+-- Completions stored before this migration start the history (unattributed)
+INSERT INTO checklist_completion_events
+    (clinic_id, checklist_id, item_id, checklist_name, item_text, completion_date, period, action, occurred_at)
+SELECT c.clinic_id, cc.checklist_id, cc.item_id, c.name, i.item_text, cc.completion_date, cc.period, 'checked',
+       COALESCE(cc.completed_at, cc.completion_date::TIMESTAMPTZ)
+FROM checklist_completions cc
+JOIN checklists c ON c.id = cc.checklist_id
+JOIN checklist_items i ON i.id = cc.item_id
+WHERE c.clinic_id IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM checklist_completion_events);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- Members can read their clinic's history; only the API (service role) writes
+-- ============================================
+ALTER TABLE checklist_completion_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "checklist_completion_events_member" ON checklist_completion_events;
+CREATE POLICY "checklist_completion_events_member" ON checklist_completion_events
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+-- ============================================
+-- save_checklists (replaces the v16 version)
+-- Adds p_user_name and per-item completion details:
+-- p_completions: [{date, period, checklistId, itemIds: [], timestamp,
+--                  items: {itemId: {at, note}}}]
+-- Saves from a stale copy are still rejected before anything is written,
+-- so an un-check is only ever logged for a copy that saw the check.
+-- The old signature is dropped so the RPC call is not ambiguous.
+-- ============================================
+DROP FUNCTION IF EXISTS save_checklists(UUID, UUID, JSONB, JSONB, BIGINT);
+
+CREATE OR REPLACE FUNCTION save_checklists(
+    p_clinic_id UUID,
+    p_user_id UUID,
+    p_checklists JSONB,
+    p_completions JSONB DEFAULT NULL,
+    p_user_name TEXT DEFAULT NULL,
+    p_expected_revision BIGINT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    cl JSONB;
+    fo JSONB;
+    it JSONB;
+    comp JSONB;
+    cl_index INTEGER := 0;
+    cl_id BIGINT;
+    fo_id BIGINT;
+    it_id BIGINT;
+    comp_checklist BIGINT;
+    comp_items BIGINT[];
+    comp_details JSONB;
+    kept_checklists BIGINT[] := '{}';
+    kept_folders BIGINT[];
+    kept_items BIGINT[];
+    checklist_map JSONB := '{}';
+    folder_map JSONB := '{}';
+    item_map JSONB := '{}';
+    new_revision BIGINT;
+BEGIN
+    -- Stale copies are rejected whole (see claim_checklist_revision in v6)
+    new_revision := claim_checklist_revision(p_clinic_id, p_expected_revision);
+    IF new_revision IS NULL THEN
+        RETURN jsonb_build_object(
+            'conflict', TRUE,
+            'revision', (SELECT checklist_revision FROM clinics WHERE id = p_clinic_id)
+        );
+    END IF;
+
+    FOR cl IN SELECT * FROM jsonb_array_elements(COALESCE(p_checklists, '[]'::JSONB)) LOOP
+        -- Existing checklist in this clinic, or a new one
+        SELECT id INTO cl_id FROM checklists
+            WHERE id = parse_client_id(cl->>'id') AND clinic_id = p_clinic_id;
+
+        IF cl_id IS NULL THEN
+            INSERT INTO checklists (name, position, role, schedule, clinic_id, user_id)
+            VALUES (cl->>'name', cl_index, COALESCE(cl->>'position', 'General'), NULLIF(cl->'schedule', 'null'::JSONB), p_clinic_id, p_user_id)
+            RETURNING id INTO cl_id;
+        ELSE
+            UPDATE checklists
+            SET name = cl->>'name',
+                position = cl_index,
+                role = COALESCE(cl->>'position', 'General'),
+                schedule = NULLIF(cl->'schedule', 'null'::JSONB),
+                user_id = p_user_id
+            WHERE id = cl_id;
+        END IF;
+
+        checklist_map := checklist_map || jsonb_build_object(cl->>'id', cl_id);
+        kept_checklists := kept_checklists || cl_id;
+        cl_index := cl_index + 1;
+
+        -- Folders
+        kept_folders := '{}';
+        FOR fo IN SELECT * FROM jsonb_array_elements(COALESCE(cl->'folders', '[]'::JSONB)) LOOP
+            SELECT id INTO fo_id FROM checklist_folders
+                WHERE id = parse_client_id(fo->>'id') AND checklist_id = cl_id;
+
+            IF fo_id IS NULL THEN
+                INSERT INTO checklist_folders (checklist_id, name, sort_order)
+                VALUES (cl_id, fo->>'name', COALESCE((fo->>'order')::INTEGER, 0))
+                RETURNING id INTO fo_id;
+            ELSE
+                UPDATE checklist_folders
+                SET name = fo->>'name',
+                    sort_order = COALESCE((fo->>'order')::INTEGER, 0)
+                WHERE id = fo_id;
+            END IF;
+
+            folder_map := folder_map || jsonb_build_object(fo->>'id', fo_id);
+            kept_folders := kept_folders || fo_id;
+        END LOOP;
+
+        -- Items (folderId is resolved through the folder mapping)
+        kept_items := '{}';
+        FOR it IN SELECT * FROM jsonb_array_elements(COALESCE(cl->'items', '[]'::JSONB)) LOOP
+            SELECT id INTO it_id FROM checklist_items
+                WHERE id = parse_client_id(it->>'id') AND checklist_id = cl_id;
+
+            IF it_id IS NULL THEN
+                INSERT INTO checklist_items (checklist_id, folder_id, item_text, url, sort_order, schedule)
+                VALUES (
+                    cl_id,
+                    (folder_map->>(it->>'folderId'))::BIGINT,
+                    it->>'text',
+                    NULLIF(it->>'url', ''),
+                    COALESCE((it->>'order')::INTEGER, 0),
+                    NULLIF(it->'schedule', 'null'::JSONB)
+                )
+                RETURNING id INTO it_id;
+            ELSE
+                UPDATE checklist_items
+                SET folder_id = (folder_map->>(it->>'folderId'))::BIGINT,
+                    item_text = it->>'text',
+                    url = NULLIF(it->>'url', ''),
+                    sort_order = COALESCE((it->>'order')::INTEGER, 0),
+                    schedule = NULLIF(it->'schedule', 'null'::JSONB)
+                WHERE id = it_id;
+            END IF;
+
+            item_map := item_map || jsonb_build_object(it->>'id', it_id);
+            kept_items := kept_items || it_id;
+        END LOOP;
+
+        -- Remove folders/items the client deleted from this checklist
+        DELETE FROM checklist_items
+            WHERE checklist_id = cl_id AND NOT (id = ANY(kept_items));
+        DELETE FROM checklist_folders
+            WHERE checklist_id = cl_id AND NOT (id = ANY(kept_folders));
+    END LOOP;
+
+    -- Remove checklists the client deleted (cascades to folders/items/completions)
+    DELETE FROM checklists
+        WHERE clinic_id = p_clinic_id AND NOT (id = ANY(kept_checklists));
+
+    -- Completions: for each period/checklist sent, make stored rows match
+    -- exactly, logging every check, un-check and note change
+    IF p_completions IS NOT NULL THEN
+        FOR comp IN SELECT * FROM jsonb_array_elements(p_completions) LOOP
+            comp_checklist := (checklist_map->>(comp->>'checklistId'))::BIGINT;
+            CONTINUE WHEN comp_checklist IS NULL;
+
+            SELECT COALESCE(array_agg((item_map->>value)::BIGINT), '{}')
+            INTO comp_items
+            FROM jsonb_array_elements_text(COALESCE(comp->'itemIds', '[]'::JSONB))
+            WHERE item_map ? value;
+
+            -- Per-item {at, note}, re-keyed from client to server item IDs
+            SELECT COALESCE(jsonb_object_agg(item_map->>key, value), '{}')
+            INTO comp_details
+            FROM jsonb_each(COALESCE(comp->'items', '{}'::JSONB))
+            WHERE item_map ? key;
+
+            WITH removed AS (
+                DELETE FROM checklist_completions
+                    WHERE checklist_id = comp_checklist
+                    AND completion_date = (comp->>'date')::DATE
+                    AND period = COALESCE(comp->>'period', '')
+                    AND NOT (item_id = ANY(comp_items))
+                RETURNING item_id, completion_date, period
+            )
+            INSERT INTO checklist_completion_events
+                (clinic_id, checklist_id, item_id, checklist_name, item_text, completion_date, period, action, user_id, user_name)
+            SELECT p_clinic_id, comp_checklist, r.item_id, c.name, i.item_text, r.completion_date, r.period, 'unchecked', p_user_id, p_user_name
+            FROM removed r
+            JOIN checklists c ON c.id = comp_checklist
+            JOIN checklist_items i ON i.id = r.item_id;
+
+            WITH added AS (
+                INSERT INTO checklist_completions
+                    (checklist_id, item_id, completion_date, period, completed_at, completed_by, completed_by_name, note)
+                SELECT comp_checklist, item_id, (comp->>'date')::DATE, COALESCE(comp->>'period', ''),
+                       COALESCE((comp_details->(item_id::TEXT)->>'at')::TIMESTAMPTZ, (comp->>'timestamp')::TIMESTAMPTZ, NOW()),
+                       p_user_id, p_user_name,
+                       NULLIF(comp_details->(item_id::TEXT)->>'note', '')
+                FROM unnest(comp_items) AS item_id
+                ON CONFLICT (checklist_id, item_id, completion_date, period) DO NOTHING
+                RETURNING item_id, completion_date, period, completed_at, note
+            )
+            INSERT INTO checklist_completion_events
+                (clinic_id, checklist_id, item_id, checklist_name, item_text, completion_date, period, action, note, user_id, user_name, occurred_at)
+            SELECT p_clinic_id, comp_checklist, a.item_id, c.name, i.item_text, a.completion_date, a.period, 'checked', a.note, p_user_id, p_user_name, a.completed_at
+            FROM added a
+            JOIN checklists c ON c.id = comp_checklist
+            JOIN checklist_items i ON i.id = a.item_id;
+
+            -- Notes added or changed on items that were already checked
+            WITH noted AS (
+                UPDATE checklist_completions
+                SET note = NULLIF(comp_details->(item_id::TEXT)->>'note', '')
+                WHERE checklist_id = comp_checklist
+                    AND completion_date = (comp->>'date')::DATE
+                    AND period = COALESCE(comp->>'period', '')
+                    AND comp_details ? (item_id::TEXT)
+                    AND note IS DISTINCT FROM NULLIF(comp_details->(item_id::TEXT)->>'note', '')
+                RETURNING item_id, completion_date, period, note
+            )
+            INSERT INTO checklist_completion_events
+                (clinic_id, checklist_id, item_id, checklist_name, item_text, completion_date, period, action, note, user_id, user_name)
+            SELECT p_clinic_id, comp_checklist, n.item_id, c.name, i.item_text, n.completion_date, n.period, 'note', n.note, p_user_id, p_user_name
+            FROM noted n
+            JOIN checklists c ON c.id = comp_checklist
+            JOIN checklist_items i ON i.id = n.item_id;
+        END LOOP;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'checklists', checklist_map,
+        'folders', folder_map,
+        'items', item_map,
+        'revision', new_revision
+    );
+END;
+$$;
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - Checking an item stores who did it, when (the client's time) and an
+--   optional note; existing completions keep their original attribution
+-- - Un-checks and note changes are logged in checklist_completion_events
+-- - GET /api/checklists/history?from=&to= returns % completed per checklist,
+--   item and person, and the event log for printing a day's record
@@ -0,0 +1,428 @@
+-- HDFlowsheet Cloud - Typed Checklist Items (v18)
+-- Run this AFTER supabase_schema_v17_checklist_history.sql
+-- Checklist items can capture data instead of a checkmark: a number with
+-- units and an acceptable range, text, initials, or yes/no with a required
+-- comment. The value is stored with the completion; an out-of-range value
+-- keeps the item incomplete until a corrective-action note is entered.
+
+-- ============================================
+-- ITEM TYPES
+-- ============================================
+-- item_type: 'checkbox' (default), 'number', 'text', 'initials' or 'yesno'
+-- config:    number - {units, min, max}; yesno - {commentOn: 'no'|'yes'|'always'}
+--            (see lib/checklistItems.js)
+ALTER TABLE checklist_items ADD COLUMN IF NOT EXISTS item_type TEXT NOT NULL DEFAULT 'checkbox';
+ALTER TABLE checklist_items ADD COLUMN IF NOT EXISTS config JSONB;
+
+ALTER TABLE checklist_items DROP CONSTRAINT IF EXISTS checklist_items_type_check;
+ALTER TABLE checklist_items ADD CONSTRAINT checklist_items_type_check
+    CHECK (item_type IN ('checkbox', 'number', 'text', 'initials', 'yesno'));
+
+-- ============================================
+-- RECORDED VALUES
+-- ============================================
+-- value:        the reading, text, initials or 'yes'/'no' as entered
+-- out_of_range: number outside the item's range, or a yes/no answer that
+--               requires a comment (computed by /api/checklists); note then
+--               holds the corrective action or comment, and the item counts
+--               as complete only with it
+ALTER TABLE checklist_completions ADD COLUMN IF NOT EXISTS value TEXT;
+ALTER TABLE checklist_completions ADD COLUMN IF NOT EXISTS out_of_range BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE checklist_completion_events ADD COLUMN IF NOT EXISTS value TEXT;
+ALTER TABLE checklist_completion_events ADD COLUMN IF NOT EXISTS out_of_range BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 'edited' = value or note changed on a checked item (v17 logged note changes as 'note')
+ALTER TABLE checklist_completion_events DROP CONSTRAINT IF EXISTS checklist_completion_events_action_check;
+ALTER TABLE checklist_completion_events ADD CONSTRAINT checklist_completion_events_action_check
+    CHECK (action IN ('checked', 'unchecked', 'note', 'edited'));
+
+-- ============================================
+-- CHECKLIST BACKUPS
+-- ============================================
+-- A backup is an app_data_backups row (v9) of type 'checklists' holding the
+-- clinic's checklists, folders and items as stored. save_checklists takes
+-- one before a save that removes a checklist, folder or item, and otherwise
+-- at most hourly; restore_checklist_backup takes one before it restores.
+-- Only the newest five are kept. Backups used to be app_data rows of type
+-- 'checklist_backup_<ms>' written on every save - they are moved over here.
+INSERT INTO app_data_backups (clinic_id, user_id, type, data, reason, created_at)
+SELECT clinic_id, user_id, 'checklists', data, 'save', updated_at
+FROM app_data
+WHERE type LIKE 'checklist\_backup\_%';
+
+DELETE FROM app_data WHERE type LIKE 'checklist\_backup\_%';
+
+CREATE OR REPLACE FUNCTION backup_checklists(p_clinic_id UUID, p_user_id UUID, p_reason TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM checklists WHERE clinic_id = p_clinic_id) THEN
+        RETURN; -- Nothing to back up
+    END IF;
+
+    INSERT INTO app_data_backups (clinic_id, user_id, type, data, reason)
+    SELECT p_clinic_id, p_user_id, 'checklists', jsonb_build_object(
+        'checklists', (SELECT jsonb_agg(to_jsonb(c)) FROM checklists c WHERE c.clinic_id = p_clinic_id),
+        'folders', (SELECT COALESCE(jsonb_agg(to_jsonb(f)), '[]') FROM checklist_folders f
+                    JOIN checklists c ON c.id = f.checklist_id WHERE c.clinic_id = p_clinic_id),
+        'items', (SELECT COALESCE(jsonb_agg(to_jsonb(i)), '[]') FROM checklist_items i
+                  JOIN checklists c ON c.id = i.checklist_id WHERE c.clinic_id = p_clinic_id),
+        'backupTimestamp', NOW()
+    ), p_reason;
+
+    DELETE FROM app_data_backups
+    WHERE id IN (
+        SELECT id FROM app_data_backups
+        WHERE clinic_id = p_clinic_id AND type = 'checklists'
+        ORDER BY created_at DESC
+        OFFSET 5
+    );
+END;
+$$;
+
+-- Whether saving p_checklists would delete a stored checklist, folder or item
+CREATE OR REPLACE FUNCTION checklist_save_removes(p_clinic_id UUID, p_checklists JSONB)
+RETURNS BOOLEAN
+LANGUAGE sql
+AS $$
+    WITH sent AS (
+        SELECT parse_client_id(cl->>'id') AS checklist_id, cl
+        FROM jsonb_array_elements(COALESCE(p_checklists, '[]'::JSONB)) AS cl
+    )
+    SELECT EXISTS (
+        SELECT 1 FROM checklists c
+        WHERE c.clinic_id = p_clinic_id
+            AND NOT EXISTS (SELECT 1 FROM sent WHERE sent.checklist_id = c.id)
+    ) OR EXISTS (
+        SELECT 1 FROM checklist_folders f
+        JOIN checklists c ON c.id = f.checklist_id AND c.clinic_id = p_clinic_id
+        JOIN sent ON sent.checklist_id = c.id
+        WHERE NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(COALESCE(sent.cl->'folders', '[]'::JSONB)) AS fo
+            WHERE parse_client_id(fo->>'id') = f.id
+        )
+    ) OR EXISTS (
+        SELECT 1 FROM checklist_items i
+        JOIN checklists c ON c.id = i.checklist_id AND c.clinic_id = p_clinic_id
+        JOIN sent ON sent.checklist_id = c.id
+        WHERE NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(COALESCE(sent.cl->'items', '[]'::JSONB)) AS it
+            WHERE parse_client_id(it->>'id') = i.id
+        )
+    );
+$$;
+
+-- Replaces the clinic's checklists with a backup in one transaction, after
+-- backing up the current set so the restore can be undone. Completions of
+-- the replaced checklists go with them. Returns NULL when the backup isn't
+-- the clinic's.
+CREATE OR REPLACE FUNCTION restore_checklist_backup(p_clinic_id UUID, p_user_id UUID, p_backup_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    backup_data JSONB;
+    cl JSONB;
+    fo JSONB;
+    cl_id BIGINT;
+    fo_id BIGINT;
+    folder_map JSONB;
+BEGIN
+    SELECT data INTO backup_data FROM app_data_backups
+        WHERE id = p_backup_id AND clinic_id = p_clinic_id AND type = 'checklists';
+    IF backup_data IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM backup_checklists(p_clinic_id, p_user_id, 'pre_restore');
+
+    DELETE FROM checklists WHERE clinic_id = p_clinic_id;
+
+    FOR cl IN SELECT * FROM jsonb_array_elements(COALESCE(backup_data->'checklists', '[]'::JSONB)) LOOP
+        INSERT INTO checklists (name, position, role, schedule, clinic_id, user_id)
+        VALUES (
+            cl->>'name',
+            (cl->>'position')::INTEGER,
+            COALESCE(cl->>'role', 'General'),
+            NULLIF(cl->'schedule', 'null'::JSONB),
+            p_clinic_id,
+            p_user_id
+        )
+        RETURNING id INTO cl_id;
+
+        folder_map := '{}';
+        FOR fo IN SELECT * FROM jsonb_array_elements(COALESCE(backup_data->'folders', '[]'::JSONB))
+            WHERE value->>'checklist_id' = cl->>'id' LOOP
+            INSERT INTO checklist_folders (checklist_id, name, sort_order)
+            VALUES (cl_id, fo->>'name', COALESCE((fo->>'sort_order')::INTEGER, 0))
+            RETURNING id INTO fo_id;
+
+            folder_map := folder_map || jsonb_build_object(fo->>'id', fo_id);
+        END LOOP;
+
+        INSERT INTO checklist_items (checklist_id, folder_id, item_text, url, sort_order, schedule, item_type, config)
+        SELECT cl_id,
+               (folder_map->>(it->>'folder_id'))::BIGINT,
+               it->>'item_text',
+               NULLIF(it->>'url', ''),
+               COALESCE((it->>'sort_order')::INTEGER, 0),
+               NULLIF(it->'schedule', 'null'::JSONB),
+               COALESCE(it->>'item_type', 'checkbox'),
+               NULLIF(it->'config', 'null'::JSONB)
+        FROM jsonb_array_elements(COALESCE(backup_data->'items', '[]'::JSONB)) AS it
+        WHERE it->>'checklist_id' = cl->>'id';
+    END LOOP;
+
+    -- Open copies predate the restore - make their saves stale
+    RETURN jsonb_build_object(
+        'checklists', jsonb_array_length(COALESCE(backup_data->'checklists', '[]'::JSONB)),
+        'items', jsonb_array_length(COALESCE(backup_data->'items', '[]'::JSONB)),
+        'revision', claim_checklist_revision(p_clinic_id, NULL)
+    );
+END;
+$$;
+
+-- ============================================
+-- save_checklists (replaces the v17 version)
+-- Items also carry {type, config}; completion details carry {value, outOfRange}:
+-- p_completions: [{date, period, checklistId, itemIds: [], timestamp,
+--                  items: {itemId: {at, note, value, outOfRange}}}]
+-- ============================================
+CREATE OR REPLACE FUNCTION save_checklists(
+    p_clinic_id UUID,
+    p_user_id UUID,
+    p_checklists JSONB,
+    p_completions JSONB DEFAULT NULL,
+    p_user_name TEXT DEFAULT NULL,
+    p_expected_revision BIGINT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    cl JSONB;
+    fo JSONB;
+    it JSONB;
+    comp JSONB;
+    cl_index INTEGER := 0;
+    cl_id BIGINT;
+    fo_id BIGINT;
+    it_id BIGINT;
+    comp_checklist BIGINT;
+    comp_items BIGINT[];
+    comp_details JSONB;
+    kept_checklists BIGINT[] := '{}';
+    kept_folders BIGINT[];
+    kept_items BIGINT[];
+    checklist_map JSONB := '{}';
+    folder_map JSONB := '{}';
+    item_map JSONB := '{}';
+    new_revision BIGINT;
+BEGIN
+    -- Stale copies are rejected whole (see claim_checklist_revision in v6)
+    new_revision := claim_checklist_revision(p_clinic_id, p_expected_revision);
+    IF new_revision IS NULL THEN
+        RETURN jsonb_build_object(
+            'conflict', TRUE,
+            'revision', (SELECT checklist_revision FROM clinics WHERE id = p_clinic_id)
+        );
+    END IF;
+
+    -- Back up before anything is removed, and at least hourly
+    IF checklist_save_removes(p_clinic_id, p_checklists) OR NOT EXISTS (
+        SELECT 1 FROM app_data_backups
+        WHERE clinic_id = p_clinic_id AND type = 'checklists' AND created_at > NOW() - INTERVAL '1 hour'
+    ) THEN
+        PERFORM backup_checklists(p_clinic_id, p_user_id, 'save');
+    END IF;
+
+    FOR cl IN SELECT * FROM jsonb_array_elements(COALESCE(p_checklists, '[]'::JSONB)) LOOP
+        -- Existing checklist in this clinic, or a new one
+        SELECT id INTO cl_id FROM checklists
+            WHERE id = parse_client_id(cl->>'id') AND clinic_id = p_clinic_id;
+
+        IF cl_id IS NULL THEN
+            INSERT INTO checklists (name, position, role, schedule, clinic_id, user_id)
+            VALUES (cl->>'name', cl_index, COALESCE(cl->>'position', 'General'), NULLIF(cl->'schedule', 'null'::JSONB), p_clinic_id, p_user_id)
+            RETURNING id INTO cl_id;
+        ELSE
+            UPDATE checklists
+            SET name = cl->>'name',
+                position = cl_index,
+                role = COALESCE(cl->>'position', 'General'),
+                schedule = NULLIF(cl->'schedule', 'null'::JSONB),
+                user_id = p_user_id
+            WHERE id = cl_id;
+        END IF;
+
+        checklist_map := checklist_map || jsonb_build_object(cl->>'id', cl_id);
+        kept_checklists := kept_checklists || cl_id;
+        cl_index := cl_index + 1;
+
+        -- Folders
+        kept_folders := '{}';
+        FOR fo IN SELECT * FROM jsonb_array_elements(COALESCE(cl->'folders', '[]'::JSONB)) LOOP
+            SELECT id INTO fo_id FROM checklist_folders
+                WHERE id = parse_client_id(fo->>'id') AND checklist_id = cl_id;
+
+            IF fo_id IS NULL THEN
+                INSERT INTO checklist_folders (checklist_id, name, sort_order)
+                VALUES (cl_id, fo->>'name', COALESCE((fo->>'order')::INTEGER, 0))
+                RETURNING id INTO fo_id;
+            ELSE
+                UPDATE checklist_folders
+                SET name = fo->>'name',
+                    sort_order = COALESCE((fo->>'order')::INTEGER, 0)
+                WHERE id = fo_id;
+            END IF;
+
+            folder_map := folder_map || jsonb_build_object(fo->>'id', fo_id);
+            kept_folders := kept_folders || fo_id;
+        END LOOP;
+
+        -- Items (folderId is resolved through the folder mapping)
+        kept_items := '{}';
+        FOR it IN SELECT * FROM jsonb_array_elements(COALESCE(cl->'items', '[]'::JSONB)) LOOP
+            SELECT id INTO it_id FROM checklist_items
+                WHERE id = parse_client_id(it->>'id') AND checklist_id = cl_id;
+
+            IF it_id IS NULL THEN
+                INSERT INTO checklist_items (checklist_id, folder_id, item_text, url, sort_order, schedule, item_type, config)
+                VALUES (
+                    cl_id,
+                    (folder_map->>(it->>'folderId'))::BIGINT,
+                    it->>'text',
+                    NULLIF(it->>'url', ''),
+                    COALESCE((it->>'order')::INTEGER, 0),
+                    NULLIF(it->'schedule', 'null'::JSONB),
+                    COALESCE(it->>'type', 'checkbox'),
+                    NULLIF(it->'config', 'null'::JSONB)
+                )
+                RETURNING id INTO it_id;
+            ELSE
+                UPDATE checklist_items
+                SET folder_id = (folder_map->>(it->>'folderId'))::BIGINT,
+                    item_text = it->>'text',
+                    url = NULLIF(it->>'url', ''),
+                    sort_order = COALESCE((it->>'order')::INTEGER, 0),
+                    schedule = NULLIF(it->'schedule', 'null'::JSONB),
+                    item_type = COALESCE(it->>'type', 'checkbox'),
+                    config = NULLIF(it->'config', 'null'::JSONB)
+                WHERE id = it_id;
+            END IF;
+
+            item_map := item_map || jsonb_build_object(it->>'id', it_id);
+            kept_items := kept_items || it_id;
+        END LOOP;
+
+        -- Remove folders/items the client deleted from this checklist
+        DELETE FROM checklist_items
+            WHERE checklist_id = cl_id AND NOT (id = ANY(kept_items));
+        DELETE FROM checklist_folders
+            WHERE checklist_id = cl_id AND NOT (id = ANY(kept_folders));
+    END LOOP;
+
+    -- Remove checklists the client deleted (cascades to folders/items/completions)
+    DELETE FROM checklists
+        WHERE clinic_id = p_clinic_id AND NOT (id = ANY(kept_checklists));
+
+    -- Completions: for each period/checklist sent, make stored rows match
+    -- exactly, logging every check, un-check and note change
+    IF p_completions IS NOT NULL THEN
+        FOR comp IN SELECT * FROM jsonb_array_elements(p_completions) LOOP
+            comp_checklist := (checklist_map->>(comp->>'checklistId'))::BIGINT;
+            CONTINUE WHEN comp_checklist IS NULL;
+
+            SELECT COALESCE(array_agg((item_map->>value)::BIGINT), '{}')
+            INTO comp_items
+            FROM jsonb_array_elements_text(COALESCE(comp->'itemIds', '[]'::JSONB))
+            WHERE item_map ? value;
+
+            -- Per-item {at, note, value, outOfRange}, re-keyed from client to server item IDs
+            SELECT COALESCE(jsonb_object_agg(item_map->>key, value), '{}')
+            INTO comp_details
+            FROM jsonb_each(COALESCE(comp->'items', '{}'::JSONB))
+            WHERE item_map ? key;
+
+            WITH removed AS (
+                DELETE FROM checklist_completions
+                    WHERE checklist_id = comp_checklist
+                    AND completion_date = (comp->>'date')::DATE
+                    AND period = COALESCE(comp->>'period', '')
+                    AND NOT (item_id = ANY(comp_items))
+                RETURNING item_id, completion_date, period
+            )
+            INSERT INTO checklist_completion_events
+                (clinic_id, checklist_id, item_id, checklist_name, item_text, completion_date, period, action, user_id, user_name)
+            SELECT p_clinic_id, comp_checklist, r.item_id, c.name, i.item_text, r.completion_date, r.period, 'unchecked', p_user_id, p_user_name
+            FROM removed r
+            JOIN checklists c ON c.id = comp_checklist
+            JOIN checklist_items i ON i.id = r.item_id;
+
+            WITH added AS (
+                INSERT INTO checklist_completions
+                    (checklist_id, item_id, completion_date, period, completed_at, completed_by, completed_by_name, note, value, out_of_range)
+                SELECT comp_checklist, item_id, (comp->>'date')::DATE, COALESCE(comp->>'period', ''),
+                       COALESCE((comp_details->(item_id::TEXT)->>'at')::TIMESTAMPTZ, (comp->>'timestamp')::TIMESTAMPTZ, NOW()),
+                       p_user_id, p_user_name,
+                       NULLIF(comp_details->(item_id::TEXT)->>'note', ''),
+                       NULLIF(comp_details->(item_id::TEXT)->>'value', ''),
+                       COALESCE((comp_details->(item_id::TEXT)->>'outOfRange')::BOOLEAN, FALSE)
+                FROM unnest(comp_items) AS item_id
+                ON CONFLICT (checklist_id, item_id, completion_date, period) DO NOTHING
+                RETURNING item_id, completion_date, period, completed_at, note, value, out_of_range
+            )
+            INSERT INTO checklist_completion_events
+                (clinic_id, checklist_id, item_id, checklist_name, item_text, completion_date, period, action, note, value, out_of_range, user_id, user_name, occurred_at)
+            SELECT p_clinic_id, comp_checklist, a.item_id, c.name, i.item_text, a.completion_date, a.period, 'checked', a.note, a.value, a.out_of_range, p_user_id, p_user_name, a.completed_at
+            FROM added a
+            JOIN checklists c ON c.id = comp_checklist
+            JOIN checklist_items i ON i.id = a.item_id;
+
+            -- Values or notes (comments, corrective actions) changed on items
+            -- that were already checked
+            WITH edited AS (
+                UPDATE checklist_completions
+                SET note = NULLIF(comp_details->(item_id::TEXT)->>'note', ''),
+                    value = NULLIF(comp_details->(item_id::TEXT)->>'value', ''),
+                    out_of_range = COALESCE((comp_details->(item_id::TEXT)->>'outOfRange')::BOOLEAN, FALSE)
+                WHERE checklist_id = comp_checklist
+                    AND completion_date = (comp->>'date')::DATE
+                    AND period = COALESCE(comp->>'period', '')
+                    AND comp_details ? (item_id::TEXT)
+                    AND (note IS DISTINCT FROM NULLIF(comp_details->(item_id::TEXT)->>'note', '')
+                         OR value IS DISTINCT FROM NULLIF(comp_details->(item_id::TEXT)->>'value', ''))
+                RETURNING item_id, completion_date, period, note, value, out_of_range
+            )
+            INSERT INTO checklist_completion_events
+                (clinic_id, checklist_id, item_id, checklist_name, item_text, completion_date, period, action, note, value, out_of_range, user_id, user_name)
+            SELECT p_clinic_id, comp_checklist, n.item_id, c.name, i.item_text, n.completion_date, n.period, 'edited', n.note, n.value, n.out_of_range, p_user_id, p_user_name
+            FROM edited n
+            JOIN checklists c ON c.id = comp_checklist
+            JOIN checklist_items i ON i.id = n.item_id;
+        END LOOP;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'checklists', checklist_map,
+        'folders', folder_map,
+        'items', item_map,
+        'revision', new_revision
+    );
+END;
+$$;
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - Checklist items have a type; numeric items store units and a range
+-- - Completions store the recorded value and whether it was out of range;
+--   changes to a value or note on a checked item are logged as 'edited'
+-- - /api/checklists/history counts an out-of-range completion only once it
+--   has a corrective-action note
+-- - Checklist backups live in app_data_backups (type 'checklists'), taken
+--   before a save removes anything (at most hourly otherwise); POST
+--   /api/checklists {action: 'restore_backup'} restores one atomically
@@ -0,0 +1,111 @@
+-- HDFlowsheet Cloud - Equipment Registry (v19)
+-- Run this AFTER supabase_schema_v18_checklist_item_types.sql
+-- Dialysis machines are registered by serial and assigned to chairs from the
+-- floor config. Heat and chemical disinfection, alarm tests, preventive
+-- maintenance and repairs are logged per machine with due dates, and each
+-- treatment records the machine used so a faulty machine can be traced to
+-- every patient who ran on it.
+
+-- ============================================
+-- MACHINES TABLE
+-- ============================================
+-- serial:     manufacturer serial number, unique within the clinic; not
+--             editable once registered (treatments refer to it)
+-- section,
+-- chair:      where the machine is now (floor config section key + chair)
+-- status:     'active', 'out_of_service' or 'retired' (retired machines
+--             leave the floor but keep their history)
+-- intervals:  {heat_disinfect, chemical_disinfect, alarm_test, pm} in days,
+--             overriding the defaults in lib/equipment.js (0 = not tracked)
+-- last_events: {type: {at, result, nextDue}} - latest event of each
+--              maintenance type, kept by the API for due dates
+CREATE TABLE IF NOT EXISTS machines (
+    id BIGSERIAL PRIMARY KEY,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    serial TEXT NOT NULL,
+    model TEXT,
+    section TEXT,
+    chair INTEGER,
+    status TEXT NOT NULL DEFAULT 'active',
+    intervals JSONB NOT NULL DEFAULT '{}'::jsonb,
+    last_events JSONB NOT NULL DEFAULT '{}'::jsonb,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (clinic_id, serial),
+    CONSTRAINT machines_status_check
+        CHECK (status IN ('active', 'out_of_service', 'retired'))
+);
+
+-- One machine per chair (the API moves the previous machine off)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_machines_chair
+    ON machines(clinic_id, section, chair) WHERE chair IS NOT NULL;
+
+-- ============================================
+-- MACHINE EVENTS TABLE
+-- Append-only; written by /api/equipment
+-- ============================================
+-- event_type:  'heat_disinfect', 'chemical_disinfect', 'alarm_test', 'pm',
+--              'repair', or 'assigned' / 'status' (logged on chair and
+--              status changes)
+-- result:      'pass' or 'fail' for alarm tests and PM
+-- next_due:    due date entered with the event (PM sticker); otherwise the
+--              next one is due the machine's interval after performed_at
+-- section,
+-- chair:       the machine's chair when the event was logged
+CREATE TABLE IF NOT EXISTS machine_events (
+    id BIGSERIAL PRIMARY KEY,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    machine_id BIGINT NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    performed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    result TEXT,
+    next_due DATE,
+    notes TEXT,
+    section TEXT,
+    chair INTEGER,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    user_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT machine_events_type_check
+        CHECK (event_type IN ('heat_disinfect', 'chemical_disinfect', 'alarm_test', 'pm', 'repair', 'assigned', 'status')),
+    CONSTRAINT machine_events_result_check
+        CHECK (result IS NULL OR result IN ('pass', 'fail'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_machine_events_machine ON machine_events(machine_id, performed_at DESC);
+
+-- ============================================
+-- MACHINE USED PER TREATMENT
+-- ============================================
+-- machine_serial: patient.machineSerial - the machine the treatment ran on
+ALTER TABLE treatments ADD COLUMN IF NOT EXISTS machine_serial TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_treatments_machine
+    ON treatments(clinic_id, machine_serial, treatment_date) WHERE machine_serial IS NOT NULL;
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- Members can read their clinic's equipment; only the API (service role) writes
+-- ============================================
+ALTER TABLE machines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE machine_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "machines_member" ON machines;
+CREATE POLICY "machines_member" ON machines
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+DROP POLICY IF EXISTS "machine_events_member" ON machine_events;
+CREATE POLICY "machine_events_member" ON machine_events
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - GET /api/equipment lists machines with each maintenance type's last
+--   event and due state; ?machine_id= returns one machine's log and
+--   ?trace=<serial>&from=&to= the treatments that used it
+-- - POST registers a machine ({machine}) or logs an event ({event});
+--   PUT ?id= changes a machine's chair, status, model or intervals
+-- - Flowsheet saves store the patient's machine on the treatments row
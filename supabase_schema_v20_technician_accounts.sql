@@ -0,0 +1,30 @@
+-- HDFlowsheet Cloud - Technician Accounts (v20)
+-- Run this AFTER supabase_schema_v19_equipment.sql
+-- Technicians in the flowsheet can be linked to a clinic member's account
+-- (technicians[].userId in the flowsheet document). Patients assigned to a
+-- linked tech carry technicianUserId, and each treatment now records that
+-- account alongside the technician's display name, so treatments stay
+-- attributed to the right person when a tech is renamed or two techs share a
+-- name.
+
+-- ============================================
+-- TECHNICIAN ACCOUNT PER TREATMENT
+-- ============================================
+-- technician_user_id: patient.technicianUserId - the account of the tech the
+--                     patient was assigned to (NULL for unlinked techs and
+--                     treatments saved before this migration)
+ALTER TABLE treatments ADD COLUMN IF NOT EXISTS technician_user_id UUID
+    REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_treatments_technician_user
+    ON treatments(clinic_id, technician_user_id, treatment_date) WHERE technician_user_id IS NOT NULL;
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - Flowsheet saves store the assigned tech's account on the treatments row
+-- - GET /api/treatments returns it as technicianUserId
+-- - Tech-check acknowledgements and vitals attribution live in the flowsheet
+--   document (patients[].techCheckAcks, techCheckFlags, vitals[].by) and need
+--   no schema change
@@ -0,0 +1,92 @@
+-- HDFlowsheet Cloud - Salted Patient Import Keys (v21)
+-- Run this AFTER supabase_schema_v20_technician_accounts.sql
+-- patient.importKey used to be an unsalted 32-bit FNV-1a hash of the census
+-- Match Key (MRN) or name: two patients could share a key (and a history),
+-- and an MRN could be recovered by hashing every candidate. New keys are a
+-- SHA-256 of the value with a per-clinic salt (lib/importKey.js).
+--
+-- Existing patients keep their old 'k...' key until a merge import matches
+-- them on it or an ID is entered for them; the flowsheet save that stores the
+-- new key calls rekey_patient_history() so their history follows.
+
+-- ============================================
+-- PER-CLINIC SALT
+-- ============================================
+-- Random per clinic (every existing clinic gets its own). Served to members
+-- by GET /api/clinics so the app can key census rows offline.
+ALTER TABLE clinics ADD COLUMN IF NOT EXISTS import_key_salt TEXT NOT NULL
+    DEFAULT replace(gen_random_uuid()::TEXT, '-', '');
+
+-- ============================================
+-- LEGACY KEY ALIASES
+-- ============================================
+-- audit_log is append-only, so its rows keep the legacy key; GET /api/audit
+-- looks a patient's legacy keys up here.
+CREATE TABLE IF NOT EXISTS import_key_aliases (
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    legacy_key TEXT NOT NULL,
+    patient_key TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (clinic_id, legacy_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_key_aliases_patient ON import_key_aliases(clinic_id, patient_key);
+
+ALTER TABLE import_key_aliases ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "import_key_aliases_member" ON import_key_aliases;
+CREATE POLICY "import_key_aliases_member" ON import_key_aliases
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+-- ============================================
+-- RE-KEY A PATIENT'S HISTORY
+-- ============================================
+-- Moves treatments, labs and HL7 messages from a legacy key to the patient's
+-- new key in one transaction and records the alias. A treatment already
+-- recorded under the new key (the save that re-keyed the patient) wins over
+-- the legacy row for the same date and shift. Re-running is a no-op.
+CREATE OR REPLACE FUNCTION rekey_patient_history(
+    p_clinic_id UUID,
+    p_legacy_key TEXT,
+    p_patient_key TEXT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    INSERT INTO import_key_aliases (clinic_id, legacy_key, patient_key)
+    VALUES (p_clinic_id, p_legacy_key, p_patient_key)
+    ON CONFLICT (clinic_id, legacy_key) DO UPDATE SET patient_key = EXCLUDED.patient_key;
+
+    DELETE FROM treatments AS t
+    WHERE t.clinic_id = p_clinic_id
+      AND t.patient_key = p_legacy_key
+      AND EXISTS (
+          SELECT 1 FROM treatments AS n
+          WHERE n.clinic_id = p_clinic_id
+            AND n.patient_key = p_patient_key
+            AND n.treatment_date = t.treatment_date
+            AND n.shift = t.shift
+      );
+
+    UPDATE treatments SET patient_key = p_patient_key
+    WHERE clinic_id = p_clinic_id AND patient_key = p_legacy_key;
+
+    UPDATE labs SET patient_key = p_patient_key
+    WHERE clinic_id = p_clinic_id AND patient_key = p_legacy_key;
+
+    UPDATE hl7_messages SET patient_key = p_patient_key
+    WHERE clinic_id = p_clinic_id AND patient_key = p_legacy_key;
+END;
+$$;
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - Every clinic has an import_key_salt, returned by GET /api/clinics
+-- - Census imports key patients with a salted SHA-256 ('h' + 64 hex digits);
+--   HL7 matching tries the salted and the legacy key
+-- - /api/save re-keys a patient's treatments, labs and HL7 messages when a
+--   save moves them off a legacy key; their audit rows are found through
+--   import_key_aliases
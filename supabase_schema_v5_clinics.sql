@@ -0,0 +1,455 @@
+-- HDFlowsheet Cloud - Clinic Workspaces (v5)
+-- Run this AFTER supabase_schema_v4_rls.sql
+-- Moves data ownership from individual users to clinics so the charge nurse,
+-- techs and administrator on the same floor share one flowsheet and checklist set
+
+-- ============================================
+-- CLINICS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS clinics (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_by UUID,
+    -- The "My Clinic" made for a user on first login; at most one per user
+    personal BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clinics_personal ON clinics(created_by) WHERE personal;
+
+-- ============================================
+-- CLINIC MEMBERS TABLE
+-- Roles: admin (manage members), charge, tech, read_only (view only)
+-- ============================================
+CREATE TABLE IF NOT EXISTS clinic_members (
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    role TEXT NOT NULL DEFAULT 'tech'
+        CHECK (role IN ('admin', 'charge', 'tech', 'read_only')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (clinic_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_clinic_members_user ON clinic_members(user_id);
+
+-- ============================================
+-- ADD clinic_id TO DATA TABLES
+-- user_id is kept on app_data/labs/checklists as "last written by"
+-- ============================================
+ALTER TABLE app_data ADD COLUMN IF NOT EXISTS clinic_id UUID REFERENCES clinics(id) ON DELETE CASCADE;
+ALTER TABLE app_data_backups ADD COLUMN IF NOT EXISTS clinic_id UUID REFERENCES clinics(id) ON DELETE CASCADE;
+ALTER TABLE labs ADD COLUMN IF NOT EXISTS clinic_id UUID REFERENCES clinics(id) ON DELETE CASCADE;
+ALTER TABLE checklists ADD COLUMN IF NOT EXISTS clinic_id UUID REFERENCES clinics(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_app_data_clinic ON app_data(clinic_id);
+CREATE INDEX IF NOT EXISTS idx_app_data_backups_clinic ON app_data_backups(clinic_id);
+CREATE INDEX IF NOT EXISTS idx_labs_clinic ON labs(clinic_id);
+CREATE INDEX IF NOT EXISTS idx_checklists_clinic ON checklists(clinic_id);
+
+-- ============================================
+-- BACKFILL: one personal clinic per existing user
+-- Every user who already has data becomes admin of their own clinic,
+-- so nothing changes for them until they invite others or switch clinics
+-- ============================================
+DO $$
+DECLARE
+    existing_user UUID;
+    new_clinic UUID;
+BEGIN
+    FOR existing_user IN
+        SELECT user_id FROM app_data WHERE user_id IS NOT NULL
+        UNION SELECT user_id FROM labs WHERE user_id IS NOT NULL
+        UNION SELECT user_id FROM checklists WHERE user_id IS NOT NULL
+    LOOP
+        IF NOT EXISTS (SELECT 1 FROM clinic_members WHERE user_id = existing_user) THEN
+            INSERT INTO clinics (name, created_by, personal)
+            VALUES ('My Clinic', existing_user, TRUE)
+            RETURNING id INTO new_clinic;
+
+            INSERT INTO clinic_members (clinic_id, user_id, role)
+            VALUES (new_clinic, existing_user, 'admin');
+        ELSE
+            SELECT clinic_id INTO new_clinic
+            FROM clinic_members
+            WHERE user_id = existing_user
+            ORDER BY created_at ASC
+            LIMIT 1;
+        END IF;
+
+        UPDATE app_data SET clinic_id = new_clinic
+            WHERE user_id = existing_user AND clinic_id IS NULL;
+        UPDATE app_data_backups SET clinic_id = new_clinic
+            WHERE user_id = existing_user AND clinic_id IS NULL;
+        UPDATE labs SET clinic_id = new_clinic
+            WHERE user_id = existing_user AND clinic_id IS NULL;
+        UPDATE checklists SET clinic_id = new_clinic
+            WHERE user_id = existing_user AND clinic_id IS NULL;
+    END LOOP;
+END $$;
+
+-- ============================================
+-- app_data PRIMARY KEY: one document per (type, clinic)
+-- ============================================
+ALTER TABLE app_data DROP CONSTRAINT IF EXISTS app_data_pkey;
+ALTER TABLE app_data ALTER COLUMN clinic_id SET NOT NULL;
+ALTER TABLE app_data ADD PRIMARY KEY (type, clinic_id);
+
+-- ============================================
+-- MEMBERSHIP HELPERS
+-- SECURITY DEFINER so policies can read clinic_members without
+-- recursing into clinic_members' own RLS policies
+-- ============================================
+CREATE OR REPLACE FUNCTION is_clinic_member(target_clinic UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM clinic_members
+        WHERE clinic_id = target_clinic
+        AND user_id = auth.uid()
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION can_write_clinic(target_clinic UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM clinic_members
+        WHERE clinic_id = target_clinic
+        AND user_id = auth.uid()
+        AND role IN ('admin', 'charge', 'tech')
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION is_clinic_admin(target_clinic UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM clinic_members
+        WHERE clinic_id = target_clinic
+        AND user_id = auth.uid()
+        AND role = 'admin'
+    );
+$$;
+
+-- ============================================
+-- CLINIC CREATION
+-- The clinic and its admin membership are written in one transaction.
+-- ensure_user_clinic runs on a user's first requests, which arrive
+-- together (load, checklists, config); the unique personal index makes
+-- the racing calls settle on one clinic instead of creating one each.
+-- ============================================
+CREATE OR REPLACE FUNCTION create_clinic(p_user_id UUID, p_name TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    new_clinic UUID;
+BEGIN
+    INSERT INTO clinics (name, created_by)
+    VALUES (p_name, p_user_id)
+    RETURNING id INTO new_clinic;
+
+    INSERT INTO clinic_members (clinic_id, user_id, role)
+    VALUES (new_clinic, p_user_id, 'admin');
+
+    RETURN new_clinic;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION ensure_user_clinic(p_user_id UUID)
+RETURNS TABLE (clinic_id UUID, role TEXT)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+    personal_clinic UUID;
+BEGIN
+    RETURN QUERY
+        SELECT m.clinic_id, m.role
+        FROM clinic_members m
+        WHERE m.user_id = p_user_id
+        ORDER BY m.created_at ASC
+        LIMIT 1;
+    IF FOUND THEN
+        RETURN;
+    END IF;
+
+    -- Waits on a concurrent insert of the same personal clinic
+    INSERT INTO clinics (name, created_by, personal)
+    VALUES ('My Clinic', p_user_id, TRUE)
+    ON CONFLICT (created_by) WHERE personal DO NOTHING
+    RETURNING id INTO personal_clinic;
+
+    IF personal_clinic IS NULL THEN
+        SELECT c.id INTO personal_clinic
+        FROM clinics c
+        WHERE c.created_by = p_user_id AND c.personal;
+    END IF;
+
+    INSERT INTO clinic_members (clinic_id, user_id, role)
+    VALUES (personal_clinic, p_user_id, 'admin')
+    ON CONFLICT (clinic_id, user_id) DO NOTHING;
+
+    RETURN QUERY
+        SELECT m.clinic_id, m.role
+        FROM clinic_members m
+        WHERE m.clinic_id = personal_clinic AND m.user_id = p_user_id;
+END;
+$$;
+
+-- ============================================
+-- DROP v4 PER-USER POLICIES
+-- ============================================
+DROP POLICY IF EXISTS "app_data_select_own" ON app_data;
+DROP POLICY IF EXISTS "app_data_insert_own" ON app_data;
+DROP POLICY IF EXISTS "app_data_update_own" ON app_data;
+DROP POLICY IF EXISTS "app_data_delete_own" ON app_data;
+
+DROP POLICY IF EXISTS "app_data_backups_select_own" ON app_data_backups;
+DROP POLICY IF EXISTS "app_data_backups_insert_own" ON app_data_backups;
+DROP POLICY IF EXISTS "app_data_backups_delete_own" ON app_data_backups;
+
+DROP POLICY IF EXISTS "labs_select_own" ON labs;
+DROP POLICY IF EXISTS "labs_insert_own" ON labs;
+DROP POLICY IF EXISTS "labs_update_own" ON labs;
+DROP POLICY IF EXISTS "labs_delete_own" ON labs;
+
+DROP POLICY IF EXISTS "checklists_select_own" ON checklists;
+DROP POLICY IF EXISTS "checklists_insert_own" ON checklists;
+DROP POLICY IF EXISTS "checklists_update_own" ON checklists;
+DROP POLICY IF EXISTS "checklists_delete_own" ON checklists;
+
+DROP POLICY IF EXISTS "checklist_items_select_own" ON checklist_items;
+DROP POLICY IF EXISTS "checklist_items_insert_own" ON checklist_items;
+DROP POLICY IF EXISTS "checklist_items_update_own" ON checklist_items;
+DROP POLICY IF EXISTS "checklist_items_delete_own" ON checklist_items;
+
+DROP POLICY IF EXISTS "checklist_folders_select_own" ON checklist_folders;
+DROP POLICY IF EXISTS "checklist_folders_insert_own" ON checklist_folders;
+DROP POLICY IF EXISTS "checklist_folders_update_own" ON checklist_folders;
+DROP POLICY IF EXISTS "checklist_folders_delete_own" ON checklist_folders;
+
+DROP POLICY IF EXISTS "checklist_completions_select_own" ON checklist_completions;
+DROP POLICY IF EXISTS "checklist_completions_insert_own" ON checklist_completions;
+DROP POLICY IF EXISTS "checklist_completions_delete_own" ON checklist_completions;
+
+-- ============================================
+-- RLS POLICIES FOR clinics / clinic_members
+-- ============================================
+ALTER TABLE clinics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE clinic_members ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "clinics_select_member" ON clinics
+    FOR SELECT USING (is_clinic_member(id));
+
+CREATE POLICY "clinics_insert_self" ON clinics
+    FOR INSERT WITH CHECK (auth.uid() = created_by);
+
+CREATE POLICY "clinics_update_admin" ON clinics
+    FOR UPDATE USING (is_clinic_admin(id));
+
+CREATE POLICY "clinics_delete_admin" ON clinics
+    FOR DELETE USING (is_clinic_admin(id));
+
+-- Members can see who else is in their clinic
+CREATE POLICY "clinic_members_select_member" ON clinic_members
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+-- Only admins manage membership (the creator's own admin row is added
+-- by the API with the service role)
+CREATE POLICY "clinic_members_insert_admin" ON clinic_members
+    FOR INSERT WITH CHECK (is_clinic_admin(clinic_id));
+
+CREATE POLICY "clinic_members_update_admin" ON clinic_members
+    FOR UPDATE USING (is_clinic_admin(clinic_id));
+
+-- Admins can remove anyone; members can leave
+CREATE POLICY "clinic_members_delete_admin_or_self" ON clinic_members
+    FOR DELETE USING (is_clinic_admin(clinic_id) OR auth.uid() = user_id);
+
+-- ============================================
+-- RLS POLICIES FOR app_data
+-- ============================================
+CREATE POLICY "app_data_select_member" ON app_data
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+CREATE POLICY "app_data_insert_writer" ON app_data
+    FOR INSERT WITH CHECK (can_write_clinic(clinic_id));
+
+CREATE POLICY "app_data_update_writer" ON app_data
+    FOR UPDATE USING (can_write_clinic(clinic_id));
+
+CREATE POLICY "app_data_delete_writer" ON app_data
+    FOR DELETE USING (can_write_clinic(clinic_id));
+
+-- ============================================
+-- RLS POLICIES FOR app_data_backups
+-- ============================================
+CREATE POLICY "app_data_backups_select_member" ON app_data_backups
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+CREATE POLICY "app_data_backups_insert_writer" ON app_data_backups
+    FOR INSERT WITH CHECK (can_write_clinic(clinic_id));
+
+CREATE POLICY "app_data_backups_delete_writer" ON app_data_backups
+    FOR DELETE USING (can_write_clinic(clinic_id));
+
+-- ============================================
+-- RLS POLICIES FOR labs
+-- ============================================
+CREATE POLICY "labs_select_member" ON labs
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+CREATE POLICY "labs_insert_writer" ON labs
+    FOR INSERT WITH CHECK (can_write_clinic(clinic_id));
+
+CREATE POLICY "labs_update_writer" ON labs
+    FOR UPDATE USING (can_write_clinic(clinic_id));
+
+CREATE POLICY "labs_delete_writer" ON labs
+    FOR DELETE USING (can_write_clinic(clinic_id));
+
+-- ============================================
+-- RLS POLICIES FOR checklists
+-- ============================================
+CREATE POLICY "checklists_select_member" ON checklists
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+CREATE POLICY "checklists_insert_writer" ON checklists
+    FOR INSERT WITH CHECK (can_write_clinic(clinic_id));
+
+CREATE POLICY "checklists_update_writer" ON checklists
+    FOR UPDATE USING (can_write_clinic(clinic_id));
+
+CREATE POLICY "checklists_delete_writer" ON checklists
+    FOR DELETE USING (can_write_clinic(clinic_id));
+
+-- ============================================
+-- RLS POLICIES FOR checklist_items
+-- Access follows the parent checklist's clinic
+-- ============================================
+CREATE POLICY "checklist_items_select_member" ON checklist_items
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_items.checklist_id
+            AND is_clinic_member(checklists.clinic_id)
+        )
+    );
+
+CREATE POLICY "checklist_items_insert_writer" ON checklist_items
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_items.checklist_id
+            AND can_write_clinic(checklists.clinic_id)
+        )
+    );
+
+CREATE POLICY "checklist_items_update_writer" ON checklist_items
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_items.checklist_id
+            AND can_write_clinic(checklists.clinic_id)
+        )
+    );
+
+CREATE POLICY "checklist_items_delete_writer" ON checklist_items
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_items.checklist_id
+            AND can_write_clinic(checklists.clinic_id)
+        )
+    );
+
+-- ============================================
+-- RLS POLICIES FOR checklist_folders
+-- ============================================
+CREATE POLICY "checklist_folders_select_member" ON checklist_folders
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_folders.checklist_id
+            AND is_clinic_member(checklists.clinic_id)
+        )
+    );
+
+CREATE POLICY "checklist_folders_insert_writer" ON checklist_folders
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_folders.checklist_id
+            AND can_write_clinic(checklists.clinic_id)
+        )
+    );
+
+CREATE POLICY "checklist_folders_update_writer" ON checklist_folders
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_folders.checklist_id
+            AND can_write_clinic(checklists.clinic_id)
+        )
+    );
+
+CREATE POLICY "checklist_folders_delete_writer" ON checklist_folders
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_folders.checklist_id
+            AND can_write_clinic(checklists.clinic_id)
+        )
+    );
+
+-- ============================================
+-- RLS POLICIES FOR checklist_completions
+-- ============================================
+CREATE POLICY "checklist_completions_select_member" ON checklist_completions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_completions.checklist_id
+            AND is_clinic_member(checklists.clinic_id)
+        )
+    );
+
+CREATE POLICY "checklist_completions_insert_writer" ON checklist_completions
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_completions.checklist_id
+            AND can_write_clinic(checklists.clinic_id)
+        )
+    );
+
+CREATE POLICY "checklist_completions_delete_writer" ON checklist_completions
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM checklists
+            WHERE checklists.id = checklist_completions.checklist_id
+            AND can_write_clinic(checklists.clinic_id)
+        )
+    );
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - clinics + clinic_members tables with roles admin/charge/tech/read_only
+-- - app_data, app_data_backups, labs, checklists carry clinic_id
+-- - app_data primary key is now (type, clinic_id)
+-- - Existing users each own a "My Clinic" containing their current data
+-- - create_clinic / ensure_user_clinic write a clinic and its admin atomically
+-- - RLS: any member can read clinic data; admin/charge/tech can write;
+--   only admins manage membership
+--
+-- The API selects the clinic from the X-Clinic-Id request header and
+-- falls back to the user's first clinic when the header is missing.
@@ -0,0 +1,219 @@
+-- HDFlowsheet Cloud - Incremental Checklist Sync (v6)
+-- Run this AFTER supabase_schema_v5_clinics.sql
+-- Replaces delete-all-and-reinsert checklist saves with a single
+-- transactional function that diffs against what is already stored
+
+-- ============================================
+-- CHECKLIST REVISION
+-- Bumped by every save, restore and recovery of a clinic's checklists.
+-- A save makes the stored rows match the client's copy, so a copy loaded
+-- before someone else's save must be rejected rather than written over it.
+-- ============================================
+ALTER TABLE clinics ADD COLUMN IF NOT EXISTS checklist_revision BIGINT NOT NULL DEFAULT 0;
+
+-- Bump the revision if it is still p_expected_revision (any revision when
+-- NULL). Returns the new revision, or NULL when the caller's copy is stale.
+-- The row lock is held until commit, so concurrent saves run one at a time.
+CREATE OR REPLACE FUNCTION claim_checklist_revision(p_clinic_id UUID, p_expected_revision BIGINT)
+RETURNS BIGINT
+LANGUAGE sql
+AS $$
+    UPDATE clinics
+    SET checklist_revision = checklist_revision + 1
+    WHERE id = p_clinic_id
+    AND (p_expected_revision IS NULL OR checklist_revision = p_expected_revision)
+    RETURNING checklist_revision;
+$$;
+
+-- ============================================
+-- HELPER: parse a client-supplied ID
+-- Returns NULL for anything that isn't a positive integer so
+-- unknown/temporary client IDs are treated as new rows
+-- ============================================
+CREATE OR REPLACE FUNCTION parse_client_id(raw TEXT)
+RETURNS BIGINT
+LANGUAGE sql IMMUTABLE
+AS $$
+    SELECT CASE WHEN raw ~ '^[0-9]{1,18}$' THEN raw::BIGINT ELSE NULL END;
+$$;
+
+-- ============================================
+-- save_checklists
+-- Upserts checklists, folders and items for one clinic, deletes rows the
+-- client no longer has, and syncs completions for the dates it sends.
+-- Runs as one statement, so any failure rolls the whole save back.
+--
+-- p_checklists: [{id, name, position, folders: [{id, name, order}],
+--                 items: [{id, text, order, folderId, url}]}]
+-- p_completions: [{date: 'YYYY-MM-DD', checklistId, itemIds: [], timestamp}]
+--
+-- p_expected_revision: the checklist_revision the client's copy is based on
+--
+-- Returns the client -> server ID mapping for every row and the new revision:
+-- {checklists: {clientId: id}, folders: {...}, items: {...}, revision}
+-- or {conflict: true, revision} with nothing written when the copy is stale
+-- ============================================
+CREATE OR REPLACE FUNCTION save_checklists(
+    p_clinic_id UUID,
+    p_user_id UUID,
+    p_checklists JSONB,
+    p_completions JSONB DEFAULT NULL,
+    p_expected_revision BIGINT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    cl JSONB;
+    fo JSONB;
+    it JSONB;
+    comp JSONB;
+    cl_index INTEGER := 0;
+    cl_id BIGINT;
+    fo_id BIGINT;
+    it_id BIGINT;
+    comp_checklist BIGINT;
+    comp_items BIGINT[];
+    kept_checklists BIGINT[] := '{}';
+    kept_folders BIGINT[];
+    kept_items BIGINT[];
+    checklist_map JSONB := '{}';
+    folder_map JSONB := '{}';
+    item_map JSONB := '{}';
+    new_revision BIGINT;
+BEGIN
+    new_revision := claim_checklist_revision(p_clinic_id, p_expected_revision);
+    IF new_revision IS NULL THEN
+        RETURN jsonb_build_object(
+            'conflict', TRUE,
+            'revision', (SELECT checklist_revision FROM clinics WHERE id = p_clinic_id)
+        );
+    END IF;
+
+    FOR cl IN SELECT * FROM jsonb_array_elements(COALESCE(p_checklists, '[]'::JSONB)) LOOP
+        -- Existing checklist in this clinic, or a new one
+        SELECT id INTO cl_id FROM checklists
+            WHERE id = parse_client_id(cl->>'id') AND clinic_id = p_clinic_id;
+
+        IF cl_id IS NULL THEN
+            INSERT INTO checklists (name, position, role, clinic_id, user_id)
+            VALUES (cl->>'name', cl_index, COALESCE(cl->>'position', 'General'), p_clinic_id, p_user_id)
+            RETURNING id INTO cl_id;
+        ELSE
+            UPDATE checklists
+            SET name = cl->>'name',
+                position = cl_index,
+                role = COALESCE(cl->>'position', 'General'),
+                user_id = p_user_id
+            WHERE id = cl_id;
+        END IF;
+
+        checklist_map := checklist_map || jsonb_build_object(cl->>'id', cl_id);
+        kept_checklists := kept_checklists || cl_id;
+        cl_index := cl_index + 1;
+
+        -- Folders
+        kept_folders := '{}';
+        FOR fo IN SELECT * FROM jsonb_array_elements(COALESCE(cl->'folders', '[]'::JSONB)) LOOP
+            SELECT id INTO fo_id FROM checklist_folders
+                WHERE id = parse_client_id(fo->>'id') AND checklist_id = cl_id;
+
+            IF fo_id IS NULL THEN
+                INSERT INTO checklist_folders (checklist_id, name, sort_order)
+                VALUES (cl_id, fo->>'name', COALESCE((fo->>'order')::INTEGER, 0))
+                RETURNING id INTO fo_id;
+            ELSE
+                UPDATE checklist_folders
+                SET name = fo->>'name',
+                    sort_order = COALESCE((fo->>'order')::INTEGER, 0)
+                WHERE id = fo_id;
+            END IF;
+
+            folder_map := folder_map || jsonb_build_object(fo->>'id', fo_id);
+            kept_folders := kept_folders || fo_id;
+        END LOOP;
+
+        -- Items (folderId is resolved through the folder mapping)
+        kept_items := '{}';
+        FOR it IN SELECT * FROM jsonb_array_elements(COALESCE(cl->'items', '[]'::JSONB)) LOOP
+            SELECT id INTO it_id FROM checklist_items
+                WHERE id = parse_client_id(it->>'id') AND checklist_id = cl_id;
+
+            IF it_id IS NULL THEN
+                INSERT INTO checklist_items (checklist_id, folder_id, item_text, url, sort_order)
+                VALUES (
+                    cl_id,
+                    (folder_map->>(it->>'folderId'))::BIGINT,
+                    it->>'text',
+                    NULLIF(it->>'url', ''),
+                    COALESCE((it->>'order')::INTEGER, 0)
+                )
+                RETURNING id INTO it_id;
+            ELSE
+                UPDATE checklist_items
+                SET folder_id = (folder_map->>(it->>'folderId'))::BIGINT,
+                    item_text = it->>'text',
+                    url = NULLIF(it->>'url', ''),
+                    sort_order = COALESCE((it->>'order')::INTEGER, 0)
+                WHERE id = it_id;
+            END IF;
+
+            item_map := item_map || jsonb_build_object(it->>'id', it_id);
+            kept_items := kept_items || it_id;
+        END LOOP;
+
+        -- Remove folders/items the client deleted from this checklist
+        DELETE FROM checklist_items
+            WHERE checklist_id = cl_id AND NOT (id = ANY(kept_items));
+        DELETE FROM checklist_folders
+            WHERE checklist_id = cl_id AND NOT (id = ANY(kept_folders));
+    END LOOP;
+
+    -- Remove checklists the client deleted (cascades to folders/items/completions)
+    DELETE FROM checklists
+        WHERE clinic_id = p_clinic_id AND NOT (id = ANY(kept_checklists));
+
+    -- Completions: for each date/checklist sent, make stored rows match exactly
+    IF p_completions IS NOT NULL THEN
+        FOR comp IN SELECT * FROM jsonb_array_elements(p_completions) LOOP
+            comp_checklist := (checklist_map->>(comp->>'checklistId'))::BIGINT;
+            CONTINUE WHEN comp_checklist IS NULL;
+
+            SELECT COALESCE(array_agg((item_map->>value)::BIGINT), '{}')
+            INTO comp_items
+            FROM jsonb_array_elements_text(COALESCE(comp->'itemIds', '[]'::JSONB))
+            WHERE item_map ? value;
+
+            DELETE FROM checklist_completions
+                WHERE checklist_id = comp_checklist
+                AND completion_date = (comp->>'date')::DATE
+                AND NOT (item_id = ANY(comp_items));
+
+            INSERT INTO checklist_completions (checklist_id, item_id, completion_date, completed_at)
+            SELECT comp_checklist, item_id, (comp->>'date')::DATE,
+                   COALESCE((comp->>'timestamp')::TIMESTAMPTZ, NOW())
+            FROM unnest(comp_items) AS item_id
+            ON CONFLICT (checklist_id, item_id, completion_date) DO NOTHING;
+        END LOOP;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'checklists', checklist_map,
+        'folders', folder_map,
+        'items', item_map,
+        'revision', new_revision
+    );
+END;
+$$;
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - /api/checklists POST calls save_checklists() instead of deleting and
+--   reinserting every row, so checklist/folder/item IDs stay stable
+-- - A failed save leaves the previous checklists untouched
+-- - The API returns the ID mapping so the client can replace temporary
+--   IDs (e.g. Date.now()) with the server IDs
+-- - Saves carry the clinic's checklist_revision; a stale copy gets 409
+--   instead of deleting rows other users added since it was loaded
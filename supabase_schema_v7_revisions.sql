@@ -0,0 +1,95 @@
+-- HDFlowsheet Cloud - Optimistic Concurrency (v7)
+-- Run this AFTER supabase_schema_v6_checklist_sync.sql
+-- Adds a revision counter to app_data so a save based on an outdated
+-- copy is rejected instead of overwriting someone else's changes
+
+-- ============================================
+-- ADD revision TO app_data
+-- ============================================
+ALTER TABLE app_data ADD COLUMN IF NOT EXISTS revision BIGINT NOT NULL DEFAULT 0;
+
+-- ============================================
+-- save_app_data
+-- Compare-and-set write of one app_data document.
+--
+-- p_expected_revision = NULL  -> unconditional write (legacy clients)
+-- p_expected_revision = N     -> write only if the stored revision is still N
+--                                (0 = "I have never seen this document")
+--
+-- Returns one row: saved = false means the caller is stale, and
+-- data/revision/updated_at hold the current server copy to merge against.
+-- ============================================
+CREATE OR REPLACE FUNCTION save_app_data(
+    p_type TEXT,
+    p_clinic_id UUID,
+    p_user_id UUID,
+    p_data JSONB,
+    p_expected_revision BIGINT DEFAULT NULL
+)
+RETURNS TABLE (saved BOOLEAN, revision BIGINT, data JSONB, updated_at TIMESTAMPTZ)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+    new_revision BIGINT;
+    new_updated_at TIMESTAMPTZ;
+BEGIN
+    IF p_expected_revision IS NULL THEN
+        INSERT INTO app_data AS a (type, clinic_id, user_id, data, updated_at, revision)
+        VALUES (p_type, p_clinic_id, p_user_id, p_data, NOW(), 1)
+        ON CONFLICT (type, clinic_id) DO UPDATE
+            SET data = EXCLUDED.data,
+                user_id = EXCLUDED.user_id,
+                updated_at = EXCLUDED.updated_at,
+                revision = a.revision + 1
+        RETURNING a.revision, a.updated_at INTO new_revision, new_updated_at;
+
+        RETURN QUERY SELECT TRUE, new_revision, NULL::JSONB, new_updated_at;
+        RETURN;
+    END IF;
+
+    UPDATE app_data AS a
+    SET data = p_data,
+        user_id = p_user_id,
+        updated_at = NOW(),
+        revision = a.revision + 1
+    WHERE a.type = p_type
+    AND a.clinic_id = p_clinic_id
+    AND a.revision = p_expected_revision
+    RETURNING a.revision, a.updated_at INTO new_revision, new_updated_at;
+
+    IF FOUND THEN
+        RETURN QUERY SELECT TRUE, new_revision, NULL::JSONB, new_updated_at;
+        RETURN;
+    END IF;
+
+    -- First save of this document
+    IF p_expected_revision = 0 THEN
+        INSERT INTO app_data (type, clinic_id, user_id, data, updated_at, revision)
+        VALUES (p_type, p_clinic_id, p_user_id, p_data, NOW(), 1)
+        ON CONFLICT (type, clinic_id) DO NOTHING
+        RETURNING app_data.revision, app_data.updated_at INTO new_revision, new_updated_at;
+
+        IF FOUND THEN
+            RETURN QUERY SELECT TRUE, new_revision, NULL::JSONB, new_updated_at;
+            RETURN;
+        END IF;
+    END IF;
+
+    -- Stale: hand back the current copy
+    RETURN QUERY
+        SELECT FALSE, a.revision, a.data, a.updated_at
+        FROM app_data AS a
+        WHERE a.type = p_type AND a.clinic_id = p_clinic_id;
+END;
+$$;
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - app_data.revision increments on every write
+-- - /api/load returns { data, revision }
+-- - /api/save accepts { type, data, revision } and answers 409 with the
+--   current { data, revision } when the revision is stale
+-- - Requests without a revision keep the old last-writer-wins behaviour
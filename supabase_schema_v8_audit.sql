@@ -0,0 +1,256 @@
+-- HDFlowsheet Cloud - Patient Charting Audit Trail (v8)
+-- Run this AFTER supabase_schema_v7_revisions.sql
+-- Append-only, field-level log of every change /api/save makes to a
+-- patient in the flowsheet document (who, which field, old -> new, when).
+-- The log is written by save_app_data itself, in the same transaction as the
+-- save, so a committed save always has its audit rows.
+
+-- ============================================
+-- AUDIT LOG TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    -- No foreign key: rows are immutable, so ON DELETE SET NULL would be
+    -- rejected by the append-only trigger and block deleting the user. The id
+    -- stays as the record of who made the change after the account is gone.
+    user_id UUID,
+    -- patient.importKey (hashed census Match Key / MRN) - the same person
+    -- across shifts. NULL for patients without one.
+    patient_key TEXT,
+    -- patient.id inside the flowsheet document. Only unique within one
+    -- document: ids restart at 1 after a reset or replace import.
+    patient_id TEXT NOT NULL,
+    patient_name TEXT,
+    field TEXT NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_patient ON audit_log(clinic_id, patient_key, changed_at DESC)
+    WHERE patient_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(clinic_id, user_id, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_time ON audit_log(clinic_id, changed_at DESC);
+
+-- ============================================
+-- APPEND-ONLY
+-- Rows can be inserted but never edited or removed, even with the
+-- service role key. (Deleting a whole clinic still cascades.)
+-- ============================================
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM clinics WHERE id = OLD.clinic_id) THEN
+        RETURN OLD; -- clinic deletion cascade
+    END IF;
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- Members can read their clinic's log; only the API (service role) writes
+-- ============================================
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "audit_log_member" ON audit_log;
+CREATE POLICY "audit_log_member" ON audit_log
+    FOR SELECT USING (is_clinic_member(clinic_id));
+
+-- ============================================
+-- FLOWSHEET DIFF
+-- ============================================
+-- Field-level differences between two JSON objects. Nested objects (QA
+-- sub-items, techCheck) are flattened to "parent.child"; arrays (labs,
+-- to-dos, snippets) and scalars are compared as a whole.
+CREATE OR REPLACE FUNCTION audit_diff_fields(p_old JSONB, p_new JSONB, p_prefix TEXT DEFAULT '')
+RETURNS TABLE (field TEXT, old_value JSONB, new_value JSONB)
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    k TEXT;
+    o JSONB;
+    n JSONB;
+    field_path TEXT;
+BEGIN
+    FOR k IN
+        SELECT jsonb_object_keys(p_old)
+        UNION
+        SELECT jsonb_object_keys(p_new)
+    LOOP
+        o := p_old -> k;
+        n := p_new -> k;
+        CONTINUE WHEN o IS NOT DISTINCT FROM n;
+
+        field_path := CASE WHEN p_prefix = '' THEN k ELSE p_prefix || '.' || k END;
+        IF jsonb_typeof(o) = 'object' OR jsonb_typeof(n) = 'object' THEN
+            RETURN QUERY SELECT * FROM audit_diff_fields(
+                CASE WHEN jsonb_typeof(o) = 'object' THEN o ELSE '{}'::JSONB END,
+                CASE WHEN jsonb_typeof(n) = 'object' THEN n ELSE '{}'::JSONB END,
+                field_path
+            );
+        ELSE
+            RETURN QUERY SELECT field_path, o, n;
+        END IF;
+    END LOOP;
+END;
+$$;
+
+-- One audit_log row per changed patient field between two flowsheet
+-- documents, plus "patient.created"/"patient.deleted". Patients are matched
+-- by id within the document; rows are keyed by importKey for history.
+CREATE OR REPLACE FUNCTION record_flowsheet_audit(
+    p_clinic_id UUID,
+    p_user_id UUID,
+    p_old JSONB,
+    p_new JSONB
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    WITH old_patients AS (
+        SELECT p ->> 'id' AS id, p
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(p_old -> 'patients') = 'array' THEN p_old -> 'patients' ELSE '[]'::JSONB END
+        ) AS p
+        WHERE jsonb_typeof(p) = 'object'
+    ),
+    new_patients AS (
+        SELECT p ->> 'id' AS id, p
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(p_new -> 'patients') = 'array' THEN p_new -> 'patients' ELSE '[]'::JSONB END
+        ) AS p
+        WHERE jsonb_typeof(p) = 'object'
+    )
+    INSERT INTO audit_log (clinic_id, user_id, patient_key, patient_id, patient_name, field, old_value, new_value)
+    SELECT p_clinic_id, p_user_id, n.p ->> 'importKey', n.id, COALESCE(n.p ->> 'name', ''),
+           'patient.created', NULL, to_jsonb(COALESCE(n.p ->> 'name', ''))
+    FROM new_patients AS n
+    WHERE NOT EXISTS (SELECT 1 FROM old_patients AS o WHERE o.id = n.id)
+    UNION ALL
+    SELECT p_clinic_id, p_user_id, o.p ->> 'importKey', o.id, COALESCE(o.p ->> 'name', ''),
+           'patient.deleted', to_jsonb(COALESCE(o.p ->> 'name', '')), NULL
+    FROM old_patients AS o
+    WHERE NOT EXISTS (SELECT 1 FROM new_patients AS n WHERE n.id = o.id)
+    UNION ALL
+    SELECT p_clinic_id, p_user_id, COALESCE(n.p ->> 'importKey', o.p ->> 'importKey'), n.id,
+           COALESCE(NULLIF(n.p ->> 'name', ''), o.p ->> 'name', ''),
+           d.field, d.old_value, d.new_value
+    FROM new_patients AS n
+    JOIN old_patients AS o ON o.id = n.id
+    CROSS JOIN LATERAL audit_diff_fields(o.p, n.p) AS d
+    WHERE o.p IS DISTINCT FROM n.p;
+END;
+$$;
+
+-- ============================================
+-- save_app_data (replaces v7)
+-- Same compare-and-set behaviour, plus:
+-- - flowsheet saves write their audit_log rows in the same transaction,
+--   diffed against the locked previous row (exactly what this write changed)
+-- - returns the document that was overwritten (previous_data) for snapshots
+-- ============================================
+DROP FUNCTION IF EXISTS save_app_data(TEXT, UUID, UUID, JSONB, BIGINT);
+
+CREATE OR REPLACE FUNCTION save_app_data(
+    p_type TEXT,
+    p_clinic_id UUID,
+    p_user_id UUID,
+    p_data JSONB,
+    p_expected_revision BIGINT DEFAULT NULL
+)
+RETURNS TABLE (saved BOOLEAN, revision BIGINT, data JSONB, updated_at TIMESTAMPTZ, previous_data JSONB)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+    prev_data JSONB;
+    prev_revision BIGINT;
+    prev_updated_at TIMESTAMPTZ;
+    new_revision BIGINT;
+    new_updated_at TIMESTAMPTZ;
+BEGIN
+    SELECT a.data, a.revision, a.updated_at
+    INTO prev_data, prev_revision, prev_updated_at
+    FROM app_data AS a
+    WHERE a.type = p_type AND a.clinic_id = p_clinic_id
+    FOR UPDATE;
+
+    IF FOUND THEN
+        -- Stale: hand back the current copy
+        IF p_expected_revision IS NOT NULL AND prev_revision <> p_expected_revision THEN
+            RETURN QUERY SELECT FALSE, prev_revision, prev_data, prev_updated_at, NULL::JSONB;
+            RETURN;
+        END IF;
+
+        UPDATE app_data AS a
+        SET data = p_data,
+            user_id = p_user_id,
+            updated_at = NOW(),
+            revision = a.revision + 1
+        WHERE a.type = p_type AND a.clinic_id = p_clinic_id
+        RETURNING a.revision, a.updated_at INTO new_revision, new_updated_at;
+
+        IF p_type = 'flowsheet' THEN
+            PERFORM record_flowsheet_audit(p_clinic_id, p_user_id, prev_data, p_data);
+        END IF;
+
+        RETURN QUERY SELECT TRUE, new_revision, NULL::JSONB, new_updated_at, prev_data;
+        RETURN;
+    END IF;
+
+    -- First save of this document
+    IF p_expected_revision IS NOT NULL AND p_expected_revision <> 0 THEN
+        RETURN QUERY SELECT FALSE, 0::BIGINT, '{}'::JSONB, NULL::TIMESTAMPTZ, NULL::JSONB;
+        RETURN;
+    END IF;
+
+    INSERT INTO app_data (type, clinic_id, user_id, data, updated_at, revision)
+    VALUES (p_type, p_clinic_id, p_user_id, p_data, NOW(), 1)
+    ON CONFLICT (type, clinic_id) DO NOTHING
+    RETURNING app_data.revision, app_data.updated_at INTO new_revision, new_updated_at;
+
+    IF FOUND THEN
+        IF p_type = 'flowsheet' THEN
+            PERFORM record_flowsheet_audit(p_clinic_id, p_user_id, NULL, p_data);
+        END IF;
+
+        RETURN QUERY SELECT TRUE, new_revision, NULL::JSONB, new_updated_at, NULL::JSONB;
+        RETURN;
+    END IF;
+
+    -- Another save created the row first: blind saves overwrite it,
+    -- revision-checked saves are stale
+    IF p_expected_revision IS NULL THEN
+        RETURN QUERY SELECT * FROM save_app_data(p_type, p_clinic_id, p_user_id, p_data, NULL);
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+        SELECT FALSE, a.revision, a.data, a.updated_at, NULL::JSONB
+        FROM app_data AS a
+        WHERE a.type = p_type AND a.clinic_id = p_clinic_id;
+END;
+$$;
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - Every flowsheet save through save_app_data writes one audit_log row per
+--   changed patient field (nested fields as "parent.child", e.g.
+--   "hospitalizationSubs.hhPrep"), plus "patient.created"/"patient.deleted",
+--   in the save's own transaction
+-- - audit_log rows cannot be updated or deleted; user_id is not a foreign
+--   key, so deleting an auth user leaves their entries in place
+-- - GET /api/audit queries the log by patient key, user or time range
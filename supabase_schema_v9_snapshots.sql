@@ -0,0 +1,28 @@
+-- HDFlowsheet Cloud - Point-in-Time Snapshots (v9)
+-- Run this AFTER supabase_schema_v8_audit.sql
+-- Puts the old app_data_backups table to work: /api/save snapshots the
+-- document it is about to overwrite, for every app_data type, and
+-- /api/snapshots lists, previews and restores them
+
+-- ============================================
+-- EXTEND app_data_backups
+-- ============================================
+-- revision: app_data revision the snapshot was taken from
+-- reason:   'save' (automatic), 'import', 'pre_restore', ...
+ALTER TABLE app_data_backups ADD COLUMN IF NOT EXISTS revision BIGINT;
+ALTER TABLE app_data_backups ADD COLUMN IF NOT EXISTS reason TEXT NOT NULL DEFAULT 'save';
+
+-- List/prune queries are always per clinic and type, newest first
+CREATE INDEX IF NOT EXISTS idx_app_data_backups_clinic_type
+ON app_data_backups(clinic_id, type, created_at DESC);
+
+-- ============================================
+-- SUMMARY
+-- ============================================
+-- After running this migration:
+-- - Saves of flowsheet, operations, snippets, labs, timestamp_logs and
+--   wheelchair_profiles snapshot the previous document (at most one
+--   automatic snapshot per type every few minutes; imports always snapshot)
+-- - Snapshots are pruned by count and by age (see lib/snapshots.js)
+-- - GET /api/snapshots?type=... lists them, ?id=...&diff=1 previews the
+--   difference from the current document, POST {action: 'restore'} restores
@@ -0,0 +1,92 @@
+// HDFlowsheet Cloud - Service Worker
+// Caches the app shell and its CDN libraries so the app opens and runs with no
+// network. Data saves are never cached here - the page queues them in its
+// IndexedDB outbox (see "OFFLINE OUTBOX" in index.html).
+
+// Bump when the list below changes so old caches are dropped
+const CACHE_NAME = 'hdflowsheet-shell-v3';
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/lib/importKey.js' // Loaded by index.html as a module
+];
+
+const CDN_LIBRARIES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2',
+    'https://unpkg.com/sortablejs@1.15.2/Sortable.min.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => Promise.all([
+            cache.addAll(APP_SHELL),
+            // Best-effort: cacheCdnLibrary never rejects, so a CDN miss can't fail
+            // install - the library is cached the next time the page loads it
+            ...CDN_LIBRARIES.map(url => cacheCdnLibrary(cache, url))
+        ])).then(() => self.skipWaiting())
+    );
+});
+
+// All three CDNs send CORS headers, so the response is a normal one with a
+// real status (cache.add rejects the status-0 opaque responses of no-cors)
+function cacheCdnLibrary(cache, url) {
+    return fetch(url, { mode: 'cors' })
+        .then(response => {
+            if (response.ok) return cache.put(url, response);
+        })
+        .catch(error => console.warn('Could not cache', url, error));
+}
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // API calls and Supabase (auth, realtime) always go to the network
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) return;
+
+    // App shell: network first so deploys show up immediately, cache when offline
+    if (request.mode === 'navigate' || (url.origin === self.location.origin && APP_SHELL.includes(url.pathname))) {
+        const cacheKey = request.mode === 'navigate' || url.pathname === '/' ? '/index.html' : url.pathname;
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(cacheKey, copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(cacheKey))
+        );
+        return;
+    }
+
+    // CDN libraries: serve from cache, refresh in the background
+    if (CDN_LIBRARIES.includes(request.url)) {
+        event.respondWith(
+            caches.open(CACHE_NAME).then(cache =>
+                cache.match(request, { ignoreVary: true }).then(cached => {
+                    const network = fetch(request)
+                        .then(response => {
+                            cache.put(request, response.clone());
+                            return response;
+                        })
+                        .catch(() => cached);
+                    return cached || network;
+                })
+            )
+        );
+    }
+});